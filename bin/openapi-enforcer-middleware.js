@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const Enforcer = require('openapi-enforcer')
+const path = require('path')
+const fs = require('fs')
+const generateTypes = require('../lib/types')
+const scaffold = require('../lib/scaffold')
+
+const usage = 'Usage: openapi-enforcer-middleware scaffold <spec> <controllersDir> [options]\n' +
+  '       openapi-enforcer-middleware types <spec> <outFile> [options]\n\n' +
+  'scaffold: Create controller files, or add missing handlers to existing controller files, for\n' +
+  'every operation in the OpenAPI document that is mapped to a controller. Existing handlers are\n' +
+  'never overwritten.\n\n' +
+  'types: Write TypeScript declarations for the request and responses of every operation and a\n' +
+  'ControllersMap that can be passed to the controllers method.\n\n' +
+  'Options:\n' +
+  '  --mocks               Generate mock controller stubs that respond using req.mock (scaffold)\n' +
+  '  --x-controller <name> The controller property name. Defaults to x-controller\n' +
+  '  --x-operation <name>  The operation property name. Defaults to x-operation\n' +
+  '  --help                Show this message'
+
+const args = process.argv.slice(2)
+const options = {}
+const positional = []
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i]
+  if (arg === '--help' || arg === '-h') {
+    console.log(usage)
+    process.exit(0)
+  } else if (arg === '--mocks') {
+    options.mocks = true
+  } else if (arg === '--x-controller' || arg === '--x-operation') {
+    if (i + 1 >= args.length) fail('Missing value for ' + arg)
+    options[arg === '--x-controller' ? 'xController' : 'xOperation'] = args[++i]
+  } else if (arg.indexOf('--') === 0) {
+    fail('Unknown option: ' + arg)
+  } else {
+    positional.push(arg)
+  }
+}
+
+const [ command, spec, target ] = positional
+if (command !== 'scaffold' && command !== 'types') fail(command ? 'Unknown command: ' + command : 'Missing command')
+if (!spec || !target || positional.length > 3) {
+  fail(command === 'types' ? 'Expected a spec and an output file' : 'Expected a spec and a controllers directory')
+}
+
+Enforcer(path.resolve(spec), { fullResult: true })
+  .then(([ openapi, exception, warning ]) => {
+    if (exception) throw Error(exception.toString())
+    if (warning) console.warn(warning.toString())
+
+    if (command === 'types') {
+      const file = path.resolve(target)
+      fs.mkdirSync(path.dirname(file), { recursive: true })
+      fs.writeFileSync(file, generateTypes(openapi, options))
+      console.log('created ' + path.relative(process.cwd(), file))
+      return
+    }
+
+    const results = scaffold(openapi, path.resolve(target), options)
+    if (!results.length) console.log('No operations are mapped to controllers')
+    results.forEach(result => {
+      const file = path.relative(process.cwd(), result.file)
+      if (result.status === 'created' || result.status === 'updated') {
+        console.log(result.status + ' ' + file + ': ' + result.added.join(', '))
+      } else if (result.status === 'skipped') {
+        console.warn('skipped ' + file + ': unable to add ' + result.missing.join(', ') + ' because the file does not export an object literal')
+      } else {
+        console.log('unchanged ' + file)
+      }
+    })
+    if (results.some(result => result.status === 'skipped')) process.exitCode = 1
+  })
+  .catch(err => {
+    console.error(err.message)
+    process.exitCode = 1
+  })
+
+function fail (message) {
+  console.error(message + '\n\n' + usage)
+  process.exit(1)
+}
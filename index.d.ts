@@ -1,15 +1,32 @@
-import {RequestHandler, ErrorRequestHandler, NextFunction as OriginalNextFunction} from 'express-serve-static-core'
+import {Request, RequestHandler, ErrorRequestHandler, NextFunction as OriginalNextFunction} from 'express-serve-static-core'
 
 export = OpenApiEnforcerMiddleware
 
-declare class OpenApiEnforcerMiddleware {
+declare class OpenApiEnforcerMiddleware<Controllers extends object = OpenApiEnforcerMiddleware.ControllersMap> {
     constructor (definition: string|object, options?:OpenApiEnforcerMiddleware.Options );
 
-    controllers<T extends unknown[]> (controllersDirectoryPath: string | OpenApiEnforcerMiddleware.ControllersMap, ...dependencyInjection: T): Promise<object>;
+    controllers<T extends unknown[]> (controllersDirectoryPath: string | Controllers | ((...dependencyInjection: T) => Controllers), ...dependencyInjection: T): Promise<object>;
+    errorHandler (options?: OpenApiEnforcerMiddleware.ErrorHandlerOptions): ErrorRequestHandler;
+    fastify (): (instance: any, options: object, done: (err?: Error) => void) => void;
+    invoke (request: OpenApiEnforcerMiddleware.InvokeRequest): Promise<OpenApiEnforcerMiddleware.InvokeResponse>;
+    invokeOperation (operationId: string, params?: OpenApiEnforcerMiddleware.InvokeParams): Promise<OpenApiEnforcerMiddleware.InvokeResponse>;
+    koa (): (ctx: any, next: () => Promise<any>) => Promise<void>;
     middleware (): OpenApiEnforcerMiddleware.MiddlewareFunction;
-    mocks<T extends unknown[]> (controllersDirectoryPath?: string | OpenApiEnforcerMiddleware.ControllersMap, automatic?: boolean, ...dependencyInjection: T): Promise<object>;
+    mocks<T extends unknown[]> (controllersDirectoryPath?: string | Partial<Controllers> | ((...dependencyInjection: T) => Partial<Controllers>), automatic?: boolean, ...dependencyInjection: T): Promise<object>;
+    namedMiddleware (name: string, middleware: OpenApiEnforcerMiddleware.MiddlewareFunction): void;
+    parser (mediaType: string, parse: OpenApiEnforcerMiddleware.Parser): void;
+    reload (): Promise<object>;
+    report (options?: OpenApiEnforcerMiddleware.ReportOptions): Promise<OpenApiEnforcerMiddleware.Route[]>;
+    routes (): Promise<OpenApiEnforcerMiddleware.Route[]>;
+    security (name: string, authenticator: OpenApiEnforcerMiddleware.Authenticator): void;
+    serializer (mediaType: string, serialize: OpenApiEnforcerMiddleware.Serializer): void;
+    unwatch (): void;
     use (middleware: OpenApiEnforcerMiddleware.MiddlewareFunction): void;
 
+    on (event: OpenApiEnforcerMiddleware.EventName, listener: (event: OpenApiEnforcerMiddleware.Event) => void): this;
+    once (event: OpenApiEnforcerMiddleware.EventName, listener: (event: OpenApiEnforcerMiddleware.Event) => void): this;
+    off (event: OpenApiEnforcerMiddleware.EventName, listener: (event: OpenApiEnforcerMiddleware.Event) => void): this;
+
     promise: Promise<object>
 }
 
@@ -19,21 +36,138 @@ declare namespace OpenApiEnforcerMiddleware {
 
     export type NextFunction = OriginalNextFunction
 
+    export type Authenticator = (credentials: any, req: Request, scheme: object) => AuthenticatorResult | Promise<AuthenticatorResult>
+
+    export type AuthenticatorResult = boolean | null | undefined | { principal?: any, scopes?: string[] }
+
     export type Controllers = Record<string, MiddlewareFunction>
 
+    export interface MediaTypeContext {
+        contentType: string;
+        operation: object;
+        schema?: object;
+    }
+
+    export type Parser = (text: string, context: MediaTypeContext) => any
+
+    export type Serializer = (body: any, context: MediaTypeContext) => string | Buffer
+
     export type ControllersMap = Record<string, Controllers>
 
+    export type EventName = 'controller-end' | 'controller-start' | 'mock-served' | 'request-filtered' | 'request-parsed' | 'request-rejected' | 'response-filtered' | 'response-rejected' | 'response-validated'
+
+    export interface Event {
+        controllerDuration?: number;
+        duration: number;
+        error?: Error;
+        exception?: any;
+        method: string;
+        mock?: object;
+        operation?: object;
+        operationId?: string;
+        path?: string;
+        req: Request;
+        statusCode?: number;
+        stripped?: string[];
+        validated?: boolean;
+    }
+
+    export interface Failure {
+        location?: 'body' | 'cookie' | 'header' | 'path' | 'query';
+        pointer: string;
+        name?: string;
+        keyword?: string;
+        message: string;
+    }
+
+    export interface ValidationError extends Error {
+        exception: any;
+        failures: Failure[];
+        headers?: Record<string, string>;
+        statusCode?: number;
+    }
+
+    export interface InvokeRequest {
+        method?: string;
+        path: string;
+        headers?: Record<string, string>;
+        query?: Record<string, any>;
+        body?: any;
+    }
+
+    export interface InvokeParams {
+        path?: Record<string, any>;
+        query?: Record<string, any>;
+        headers?: Record<string, string>;
+        cookies?: Record<string, string>;
+        body?: any;
+    }
+
+    export interface InvokeResponse {
+        statusCode: number;
+        headers: Record<string, any>;
+        body: any;
+    }
+
+    export interface ErrorHandlerOptions {
+        exposeServerErrors?: boolean;
+        typePrefix?: string;
+    }
+
+    export interface ReportOptions {
+        logger?: ((report: string) => void) | null;
+        strict?: boolean;
+    }
+
+    export interface Route {
+        method: string;
+        path: string;
+        operationId?: string;
+        controller?: string;
+        operation?: string;
+        handledBy: 'controller' | 'mock' | null;
+    }
+
     export interface Options {
         allowOtherQueryParameters?: boolean;
+        bodyLimit?: number;
         componentOptions?: object;
+        documentDereference?: boolean;
+        documentFilter?: (document: any, req: Request) => any;
+        documentPaths?: string | string[];
         fallThrough?: boolean;
+        mockFaults?: {
+            delay?: number | [number, number];
+            drop?: number;
+            error?: number;
+            errorStatus?: number | string;
+        };
         mockHeader?: string;
         mockQuery?: string;
+        mockScenarioCookie?: string;
+        mockScenarioHeader?: string;
+        mockScenarios?: string | Record<string, Record<string, string | number>>;
+        mockSeed?: string | number;
+        mockTemplates?: boolean;
+        mockStore?: boolean;
+        multipartFiles?: 'buffer' | 'stream';
+        multipartLimit?: number;
+        record?: boolean;
+        recordings?: string;
+        reqFilesProperty?: string;
+        reqFilter?: boolean;
         reqMockProperty?: string;
         reqOpenApiProperty?: string;
         reqOperationProperty?: string;
+        reqSecurityProperty?: string;
+        resFilter?: boolean;
         resSerialize?: boolean;
+        resStreamAction?: 'abort' | 'report' | 'skip';
         resValidate?: boolean;
+        resValidatePolicy?: 'enforce' | 'report' | 'sample';
+        resValidateReporter?: (exception: any, req: Request, res: any) => void;
+        resValidateSampleRate?: number;
+        watch?: boolean;
         xController?: string;
         xOperation?: string;
     }
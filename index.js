@@ -17,38 +17,113 @@
 'use strict'
 const Debug = require('debug')
 const Enforcer = require('openapi-enforcer')
+const document = require('./lib/document')
+const EventEmitter = require('events')
+const fastifyAdapter = require('./lib/adapters/fastify')
+const filter = require('./lib/filter')
+const fs = require('fs')
+const invokeAdapter = require('./lib/adapters/invoke')
+const koaAdapter = require('./lib/adapters/koa')
 const path = require('path')
+const media = require('./lib/media')
+const multipart = require('./lib/multipart')
+const negotiation = require('./lib/negotiation')
+const problem = require('./lib/problem')
+const createMockStore = require('./lib/mock-store')
+const createRecorder = require('./lib/recorder')
+const security = require('./lib/security')
+const stream = require('./lib/stream')
+const seededRandom = require('./lib/seeded-random')
+const template = require('./lib/template')
+const { getOperationPath, parseCookies, readStream } = require('./lib/util')
+const util = require('util')
+const watch = require('./lib/watch')
 
 const debug = {
   controllers: Debug('openapi-enforcer-middleware:controllers'),
   mock: Debug('openapi-enforcer-middleware:mock'),
   request: Debug('openapi-enforcer-middleware:request'),
-  response: Debug('openapi-enforcer-middleware:response')
+  response: Debug('openapi-enforcer-middleware:response'),
+  watch: Debug('openapi-enforcer-middleware:watch')
 }
 const enforcerVersion = require(path.resolve(path.dirname(require.resolve('openapi-enforcer')), 'package.json')).version
 const ENFORCER_HEADER = 'x-openapi-enforcer'
+const MIDDLEWARE_EXTENSION = 'x-middleware'
+const MOCK_SCENARIOS_EXTENSION = 'x-mock-scenarios'
+const RESPONSE_VALIDATION_EXTENSION = 'x-response-validation'
+const RESPONSE_VALIDATION_POLICIES = ['enforce', 'report', 'sample']
+const RESPONSE_EXITS = ['end', 'json', 'send', 'sendStatus', 'write']
+const STREAM_ACTIONS = ['abort', 'report', 'skip']
+
+// responses whose send function is currently overwritten by the middleware
+const enforcedResponses = new WeakSet()
+
+// normalized request parameters for each request that passed validation
+const requestParameters = new WeakMap()
+
+// mock scenarios for each OpenAPI document
+const mockScenarios = new WeakMap()
+
+// the bundled or dereferenced document that is published for each OpenAPI document
+const publishedDocuments = new WeakMap()
+
+// the names of the middleware that each operation declares with the middleware extension
+const operationMiddleware = new WeakMap()
+
+// the time that each request reached the middleware, for lifecycle event durations
+const requestStarts = new WeakMap()
+
+// response validation policies for operations that override the global policy
+const responseValidationPolicies = new WeakMap()
 
 module.exports = OpenApiEnforcerMiddleware
 
+util.inherits(OpenApiEnforcerMiddleware, EventEmitter)
+
 /**
  * Create an OpenApiEnforcerMiddleware.
  * @param {string, object} definition
  * @param {object} [options]
  * @param {array} [options.allowOtherQueryParameters]
+ * @param {number} [options.bodyLimit=10485760]
  * @param {object} [options.componentOptions]
+ * @param {boolean} [options.documentDereference=false]
+ * @param {function} [options.documentFilter]
+ * @param {string|string[]} [options.documentPaths]
  * @param {boolean} [options.fallthrough=true]
+ * @param {object} [options.mockFaults]
  * @param {string} [options.mockHeader]
  * @param {string} [options.mockQuery]
+ * @param {string} [options.mockScenarioCookie]
+ * @param {string} [options.mockScenarioHeader]
+ * @param {string|object} [options.mockScenarios]
+ * @param {string} [options.mockSeed]
+ * @param {boolean} [options.mockTemplates=false]
+ * @param {boolean} [options.mockStore=false]
+ * @param {string} [options.multipartFiles='buffer']
+ * @param {number} [options.multipartLimit=10485760]
+ * @param {boolean} [options.record=false]
+ * @param {string} [options.recordings]
+ * @param {string} [options.reqFilesProperty]
+ * @param {boolean} [options.reqFilter=false]
  * @param {string} [options.reqMockProperty]
  * @param {string} [options.reqOpenApiProperty]
  * @param {string} [options.reqOperationProperty]
+ * @param {string} [options.reqSecurityProperty]
+ * @param {boolean} [options.resFilter=false]
  * @param {boolean} [options.resSerialize=true]
+ * @param {string} [options.resStreamAction='abort']
  * @param {boolean} [options.resValidate=true]
+ * @param {string} [options.resValidatePolicy='enforce']
+ * @param {function} [options.resValidateReporter]
+ * @param {number} [options.resValidateSampleRate=0.1]
+ * @param {boolean} [options.watch=false]
  * @param {string} [options.xController]
  * @param {string} [options.xOperation]
  */
 function OpenApiEnforcerMiddleware (definition, options) {
   if (!(this instanceof OpenApiEnforcerMiddleware)) return new OpenApiEnforcerMiddleware(definition, options)
+  EventEmitter.call(this)
 
   // validate and normalize options
   if (options !== undefined && (!options || typeof options !== 'object')) throw Error('Invalid option specified. Expected an object. Received: ' + options)
@@ -57,28 +132,81 @@ function OpenApiEnforcerMiddleware (definition, options) {
   // get general settings
   const general = {
     allowOtherQueryParameters: options.allowOtherQueryParameters || [],
+    authenticators: new Map(),
+    bodyLimit: options.hasOwnProperty('bodyLimit') ? options.bodyLimit : 10485760,
+    controllerGroups: [],
+    documentDereference: options.hasOwnProperty('documentDereference') ? !!options.documentDereference : false,
+    documentFilter: options.documentFilter || null,
+    documentPaths: typeof options.documentPaths === 'string' ? [ options.documentPaths ] : options.documentPaths || [],
     fallthrough: options.hasOwnProperty('fallthrough') ? options.fallthrough : true,
     middleware: [],
+    mockFaults: {},
     mockHeader: options.mockHeader || 'x-mock',
     mockQuery: options.mockQuery || 'x-mock',
+    mockScenarioCookie: options.mockScenarioCookie || 'x-mock-scenario',
+    mockScenarioHeader: options.mockScenarioHeader || 'x-mock-scenario',
+    mockScenarios: options.mockScenarios || {},
+    mockSeed: options.hasOwnProperty('mockSeed') ? String(options.mockSeed) : '',
+    mockTemplates: options.hasOwnProperty('mockTemplates') ? !!options.mockTemplates : false,
+    mockStore: options.mockStore ? createMockStore() : null,
+    multipartFiles: options.multipartFiles || 'buffer',
+    multipartLimit: options.hasOwnProperty('multipartLimit') ? options.multipartLimit : 10485760,
+    namedMiddleware: new Map(),
+    parsers: media.createParsers(),
+    record: options.hasOwnProperty('record') ? !!options.record : false,
+    recorder: null,
+    reqFilesProperty: options.reqFilesProperty || 'files',
+    reqFilter: options.hasOwnProperty('reqFilter') ? !!options.reqFilter : false,
     reqMockProperty: options.reqMockProperty || 'mock',
     reqOpenApiProperty: options.reqOpenApiProperty || 'openapi',
     reqOperationProperty: options.reqOperationProperty || 'operation',
+    reqSecurityProperty: options.reqSecurityProperty || 'security',
+    resFilter: options.hasOwnProperty('resFilter') ? !!options.resFilter : false,
     resSerialize: options.hasOwnProperty('resSerialize') ? !!options.resSerialize : true,
+    resStreamAction: options.resStreamAction || 'abort',
     resValidate: options.hasOwnProperty('resValidate') ? !!options.resValidate : true,
+    resValidatePolicy: options.resValidatePolicy || 'enforce',
+    resValidateReporter: options.resValidateReporter || reportInvalidResponse,
+    resValidateSampleRate: options.hasOwnProperty('resValidateSampleRate') ? options.resValidateSampleRate : 0.1,
+    serializers: media.createSerializers(),
+    watcher: null,
     xController: options.xController || 'x-controller',
     xOperation: options.xOperation || 'x-operation'
   }
 
   // validate general settings and store them
   if (typeof general.allowOtherQueryParameters !== 'boolean' && !isArrayOf(general.allowOtherQueryParameters, 'string')) throw Error('Configuration option "allowOtherQueryParameters" must be a boolean or an array of strings. Received: ' + general.allowOtherQueryParameters)
+  if (typeof general.bodyLimit !== 'number' || !(general.bodyLimit > 0)) throw Error('Configuration option "bodyLimit" must be a positive number. Received: ' + general.bodyLimit)
+  if (general.documentFilter !== null && typeof general.documentFilter !== 'function') throw Error('Configuration option "documentFilter" must be a function. Received: ' + general.documentFilter)
+  if (!isArrayOf(general.documentPaths, 'string') || general.documentPaths.some(path => path[0] !== '/')) throw Error('Configuration option "documentPaths" must be a path or an array of paths that start with a slash. Received: ' + general.documentPaths)
+  if (options.mockFaults !== undefined) {
+    if (!isNonNullObject(options.mockFaults)) throw Error('Configuration option "mockFaults" must be a non-null object. Received: ' + options.mockFaults)
+    const [ faults, error ] = getMockFaults(options.mockFaults)
+    if (error) throw Error('Configuration option "mockFaults" is invalid. ' + error)
+    general.mockFaults = faults
+  }
   if (typeof general.mockHeader !== 'string') throw Error('Configuration option "mockHeader" must be a string. Received: ' + general.mockHeader)
   if (typeof general.mockQuery !== 'string') throw Error('Configuration option "mockQuery" must be a string. Received: ' + general.mockQuery)
+  if (typeof general.mockScenarioCookie !== 'string') throw Error('Configuration option "mockScenarioCookie" must be a string. Received: ' + general.mockScenarioCookie)
+  if (typeof general.mockScenarioHeader !== 'string') throw Error('Configuration option "mockScenarioHeader" must be a string. Received: ' + general.mockScenarioHeader)
+  if (typeof general.mockScenarios !== 'string' && !isNonNullObject(general.mockScenarios)) throw Error('Configuration option "mockScenarios" must be a directory path or a non-null object. Received: ' + general.mockScenarios)
+  if (general.mockSeed && !seededRandom.isSeed(general.mockSeed)) throw Error('Configuration option "mockSeed" must be 1 to 64 letters, numbers, dots, dashes, or underscores. Received: ' + general.mockSeed)
+  if (general.multipartFiles !== 'buffer' && general.multipartFiles !== 'stream') throw Error('Configuration option "multipartFiles" must be either "buffer" or "stream". Received: ' + general.multipartFiles)
+  if (typeof general.multipartLimit !== 'number' || !(general.multipartLimit > 0)) throw Error('Configuration option "multipartLimit" must be a positive number. Received: ' + general.multipartLimit)
+  if (typeof general.reqFilesProperty !== 'string') throw Error('Configuration option "reqFilesProperty" must be a string. Received: ' + general.reqFilesProperty)
   if (typeof general.reqMockProperty !== 'string') throw Error('Configuration option "reqMockProperty" must be a string. Received: ' + general.reqMockProperty)
   if (typeof general.reqOpenApiProperty !== 'string') throw Error('Configuration option "reqOpenApiProperty" must be a string. Received: ' + general.reqOpenApiProperty)
   if (typeof general.reqOperationProperty !== 'string') throw Error('Configuration option "reqOperationProperty" must be a string. Received: ' + general.reqOperationProperty)
+  if (typeof general.reqSecurityProperty !== 'string') throw Error('Configuration option "reqSecurityProperty" must be a string. Received: ' + general.reqSecurityProperty)
+  if (STREAM_ACTIONS.indexOf(general.resStreamAction) === -1) throw Error('Configuration option "resStreamAction" must be one of: ' + STREAM_ACTIONS.join(', ') + '. Received: ' + general.resStreamAction)
+  if (RESPONSE_VALIDATION_POLICIES.indexOf(general.resValidatePolicy) === -1) throw Error('Configuration option "resValidatePolicy" must be one of: ' + RESPONSE_VALIDATION_POLICIES.join(', ') + '. Received: ' + general.resValidatePolicy)
+  if (typeof general.resValidateReporter !== 'function') throw Error('Configuration option "resValidateReporter" must be a function. Received: ' + general.resValidateReporter)
+  if (!isProbability(general.resValidateSampleRate)) throw Error('Configuration option "resValidateSampleRate" must be a number between 0 and 1. Received: ' + general.resValidateSampleRate)
   if (typeof general.xController !== 'string') throw Error('Configuration option "xController" must be a string. Received: ' + general.xController)
   if (typeof general.xOperation !== 'string') throw Error('Configuration option "xOperation" must be a string. Received: ' + general.xOperation)
+  if (options.recordings !== undefined && typeof options.recordings !== 'string') throw Error('Configuration option "recordings" must be a string. Received: ' + options.recordings)
+  if (general.record && !options.recordings) throw Error('Configuration option "record" requires the "recordings" directory option')
+  if (options.recordings) general.recorder = createRecorder(options.recordings)
   this.options = general
 
   const componentOptions = options.hasOwnProperty('componentOptions') ? options.componentOptions : {}
@@ -88,32 +216,103 @@ function OpenApiEnforcerMiddleware (definition, options) {
   if (general.allowOtherQueryParameters === false) general.allowOtherQueryParameters = []
   if (Array.isArray(general.allowOtherQueryParameters)) general.allowOtherQueryParameters.push(general.mockQuery)
 
-  // wait for the definition to be built
-  this.promise = Enforcer(definition, { fullResult: true, componentOptions })
+  // build the document to publish, references can be kept (bundled) or replaced (dereferenced)
+  general.loadDocument = () => general.documentDereference ? Enforcer.dereference(definition) : Enforcer.bundle(definition)
+
+  // build the definition
+  general.loadDefinition = () => Enforcer(definition, { fullResult: true, componentOptions })
     .then(result => {
       const [ openapi, exception, warning ] = result
       if (exception) throw Error(exception.toString())
       if (warning) console.warn(warning)
-      return openapi
+
+      // api keys sent in the query string are not defined as parameters
+      if (Array.isArray(general.allowOtherQueryParameters)) {
+        security.getApiKeyQueryParameters(openapi).forEach(name => {
+          if (general.allowOtherQueryParameters.indexOf(name) === -1) general.allowOtherQueryParameters.push(name)
+        })
+      }
+
+      // operations, path items, and the document can override the response validation policy and declare middleware
+      Object.keys(openapi.paths).forEach(pathKey => {
+        const pathItem = openapi.paths[pathKey]
+        pathItem.methods.forEach(method => {
+          const operation = pathItem[method]
+          const name = method.toUpperCase() + ' ' + pathKey
+          const value = getExtension(RESPONSE_VALIDATION_EXTENSION, openapi, pathItem, operation)
+          if (value !== undefined) {
+            const policy = getResponseValidationPolicy(value, general)
+            if (!policy) throw Error('Invalid ' + RESPONSE_VALIDATION_EXTENSION + ' value for ' + name + '. Expected one of ' + RESPONSE_VALIDATION_POLICIES.join(', ') + ' or an object with a "policy" and an optional "sampleRate". Received: ' + JSON.stringify(value))
+            responseValidationPolicies.set(operation, policy)
+          }
+
+          const middleware = getExtension(MIDDLEWARE_EXTENSION, openapi, pathItem, operation)
+          if (middleware !== undefined) {
+            const names = Array.isArray(middleware) ? middleware : [ middleware ]
+            if (!isArrayOf(names, 'string')) throw Error('Invalid ' + MIDDLEWARE_EXTENSION + ' value for ' + name + '. Expected a string or an array of strings. Received: ' + JSON.stringify(middleware))
+            const missing = names.filter(key => !general.namedMiddleware.has(key))
+            if (missing.length) throw Error('The ' + MIDDLEWARE_EXTENSION + ' for ' + name + ' references middleware that is not registered: ' + missing.join(', '))
+            operationMiddleware.set(operation, names)
+          }
+        })
+      })
+
+      mockScenarios.set(openapi, loadMockScenarios(openapi, general.mockScenarios))
+      if (!general.resFilter) return openapi
+
+      // the filter keeps additional properties only where the definition itself allows them
+      return Enforcer.dereference(definition)
+        .then(dereferenced => {
+          filter.allowAdditionalProperties(dereferenced, openapi)
+          return openapi
+        })
+    })
+
+  // rebuild the definition and controllers when files change
+  if (options.watch) {
+    general.watcher = watch.createWatcher(() => {
+      debug.watch('reloading')
+      this.reload().catch(err => console.error('Unable to reload the OpenAPI definition or controllers: ' + err.message))
     })
+    if (typeof definition === 'string') general.watcher.add(path.dirname(path.resolve(definition)))
+    if (typeof general.mockScenarios === 'string') general.watcher.add(path.resolve(general.mockScenarios))
+  }
+
+  // wait for the definition to be built
+  this.promise = general.loadDefinition()
 }
 
 OpenApiEnforcerMiddleware.prototype.controllers = function (controllersTarget, ...dependencyInjection) {
-  const promise = this.promise
-    .then(openapi => mapControllers(openapi, false, controllersTarget, dependencyInjection, this.options))
+  const group = createControllersGroup(this, false, controllersTarget, dependencyInjection)
 
   this.use((req, res, next) => {
-    promise
+    group.get(req[this.options.reqOpenApiProperty])
       .then(({ controllers }) => {
         const operation = req[this.options.reqOperationProperty]
         const controller = controllers.get(operation)
         if (controller) {
           res.set(ENFORCER_HEADER, 'controller')
           debug.controllers('executing controller')
+          const openapi = req[this.options.reqOpenApiProperty]
+          const start = process.hrtime()
+          let ended = false
+          const end = err => {
+            if (ended) return
+            ended = true
+            const details = { controllerDuration: getDuration(start), statusCode: res.statusCode }
+            if (err) details.error = err
+            emitEvent(this, 'controller-end', openapi, operation, req, details)
+          }
+          emitEvent(this, 'controller-start', openapi, operation, req)
+          res.once('finish', () => end())
+
           // return controller result for async error handling in express 5 and router 2.x
           // https://github.com/expressjs/express/releases/tag/5.0.0-alpha.7
           // https://github.com/pillarjs/router/tree/2.0#middleware
-          return controller(req, res, next)
+          return controller(req, res, err => {
+            end(err)
+            next(err)
+          })
         } else {
           next()
         }
@@ -121,30 +320,197 @@ OpenApiEnforcerMiddleware.prototype.controllers = function (controllersTarget, .
       .catch(next)
   })
 
-  return promise.then(({ controllers, exception }) => {
+  return group.promise.then(({ controllers, exception }) => {
     if (exception) throw errorFromException(exception)
     return controllers
   })
 }
 
+/**
+ * Get an express error handling middleware that sends errors as RFC 7807 problem details.
+ * @param {object} [options]
+ * @param {boolean} [options.exposeServerErrors=false]
+ * @param {string} [options.typePrefix]
+ * @returns {function}
+ */
+OpenApiEnforcerMiddleware.prototype.errorHandler = function (options) {
+  if (options !== undefined && (!options || typeof options !== 'object')) throw Error('Invalid option specified. Expected an object. Received: ' + options)
+  if (!options) options = {}
+
+  const settings = {
+    exposeServerErrors: options.hasOwnProperty('exposeServerErrors') ? !!options.exposeServerErrors : false,
+    typePrefix: options.typePrefix || ''
+  }
+  if (typeof settings.typePrefix !== 'string') throw Error('Configuration option "typePrefix" must be a string. Received: ' + settings.typePrefix)
+
+  return (err, req, res, next) => {
+    if (res.headersSent) return next(err)
+
+    this.promise
+      .then(openapi => {
+        const body = problem.createProblem(err, settings)
+        const code = body.status
+        const operation = req[this.options.reqOperationProperty] || (() => {
+          const [ value, pathError ] = openapi.path(req.method, req.originalUrl.substr(req.baseUrl.length))
+          return pathError ? undefined : value.operation
+        })()
+        const type = operation && problem.getProblemContentType(operation, code)
+        if (code >= 500) debug.response('sending server error: ' + (err && err.stack))
+
+        res.status(code)
+        if (err && err.headers) res.set(err.headers)
+
+        // when used within the enforcer middleware the response will be validated on send
+        if (enforcedResponses.has(res)) {
+          res.set('content-type', type || problem.PROBLEM_CONTENT_TYPE)
+          return res.send(body)
+        }
+
+        // render the problem through the operation's response schema when one is declared
+        if (type) {
+          const [ response, exception ] = operation.response(code, body, { 'content-type': type })
+          if (!exception) {
+            res.set('content-type', type)
+            return res.send(JSON.stringify(response.body))
+          }
+          debug.response('problem document does not match response schema: ' + exception)
+        }
+
+        res.set('content-type', problem.PROBLEM_CONTENT_TYPE)
+        res.send(JSON.stringify(body))
+      })
+      .catch(next)
+  }
+}
+
+/**
+ * Get a fastify plugin that runs the enforcer middleware, its controllers, and its mocks.
+ * @returns {function}
+ */
+OpenApiEnforcerMiddleware.prototype.fastify = function () {
+  return fastifyAdapter(this.middleware())
+}
+
+/**
+ * Run a request through the middleware in process, without a server or sockets. The request is
+ * parsed and validated, runs through the internal middlewares, controllers, and mocks, and its
+ * response is validated just as it would be for an HTTP request.
+ * @param {object} request
+ * @param {string} [request.method='GET']
+ * @param {string} request.path The request path, which may include a query string.
+ * @param {object} [request.headers]
+ * @param {object} [request.query]
+ * @param {*} [request.body] An object to send as JSON, or a string or buffer.
+ * @returns {Promise<{ statusCode: number, headers: object, body: * }>} Resolves to the response
+ *  with its body parsed and deserialized. Rejects with errors that the internal middlewares pass on.
+ */
+OpenApiEnforcerMiddleware.prototype.invoke = function (request) {
+  if (!isNonNullObject(request)) return Promise.reject(Error('Invalid request. Value must be a non-null object. Received: ' + request))
+  if (typeof request.path !== 'string') return Promise.reject(Error('Invalid request path. Value must be a string. Received: ' + request.path))
+  const options = this.options
+  return this.promise
+    .then(openapi => invokeAdapter(this.middleware(), request)
+      .then(response => {
+        const [ match, pathError ] = openapi.path(request.method || 'GET', request.path.split('?')[0])
+        response.body = deserializeInvokedBody(pathError ? undefined : match.operation, response, options.parsers)
+        return response
+      }))
+}
+
+/**
+ * Run the operation with the specified operationId in process. See invoke.
+ * @param {string} operationId
+ * @param {object} [params]
+ * @param {object} [params.path] Path parameter values by name.
+ * @param {object} [params.query]
+ * @param {object} [params.headers]
+ * @param {object} [params.cookies]
+ * @param {*} [params.body]
+ * @returns {Promise<{ statusCode: number, headers: object, body: * }>}
+ */
+OpenApiEnforcerMiddleware.prototype.invokeOperation = function (operationId, params = {}) {
+  return this.promise
+    .then(openapi => {
+      let found
+      Object.keys(openapi.paths).forEach(pathKey => {
+        const pathItem = openapi.paths[pathKey]
+        pathItem.methods.forEach(method => {
+          if (pathItem[method].operationId === operationId) found = { method, pathKey }
+        })
+      })
+      if (!found) throw Error('Unknown operationId: ' + operationId)
+
+      const pathParams = params.path || {}
+      const path = found.pathKey.replace(/{([^}]+)}/g, (match, name) => {
+        if (!pathParams.hasOwnProperty(name)) throw Error('Missing path parameter "' + name + '" for operation ' + operationId)
+        return encodeURIComponent(String(pathParams[name]))
+      })
+      const headers = Object.assign({}, params.headers)
+      const cookies = params.cookies || {}
+      const cookie = Object.keys(cookies).map(name => name + '=' + encodeURIComponent(String(cookies[name]))).join('; ')
+      if (cookie) headers.cookie = cookie
+
+      const request = { method: found.method, path, headers, query: params.query }
+      if (params.hasOwnProperty('body')) request.body = params.body
+      return this.invoke(request)
+    })
+}
+
+/**
+ * Get koa middleware that runs the enforcer middleware, its controllers, and its mocks.
+ * @returns {function}
+ */
+OpenApiEnforcerMiddleware.prototype.koa = function () {
+  return koaAdapter(this.middleware())
+}
+
 OpenApiEnforcerMiddleware.prototype.middleware = function () {
   const extractValue = Enforcer.v3_0.Schema.extractValue // v2 and v3 extractValue is the same
   const options = this.options
   return (_req, res, _next) => {
-    // store original send
-    const send = res.send
+    const start = process.hrtime()
+
+    // publish the OpenAPI document at the document paths
+    const requestPath = _req.originalUrl.substr(_req.baseUrl.length).split('?')[0]
+    if ((_req.method === 'GET' || _req.method === 'HEAD') && options.documentPaths.indexOf(requestPath) !== -1) {
+      this.promise
+        .then(openapi => sendDocument(openapi, _req, res, document.getFormat(requestPath), options))
+        .catch(_next)
+      return
+    }
+
+    // store original response functions
+    const original = {}
+    RESPONSE_EXITS.forEach(key => { original[key] = res[key] })
+
+    function restore () {
+      RESPONSE_EXITS.forEach(key => { res[key] = original[key] })
+      enforcedResponses.delete(res)
+    }
 
     function next (err) {
-      res.send = send
+      restore()
       if (err) return _next(err)
       _next()
     }
 
     this.promise
       .then(openapi => {
+        // multipart bodies and bodies with a registered parser are read from the request stream
+        const [ match, pathError ] = openapi.path(_req.method, _req.originalUrl.substr(_req.baseUrl.length))
+
+        // reject unsupported content types and unsatisfiable accept headers before reading the body
+        const exception = pathError ? undefined : negotiation.negotiate(openapi, match.operation, _req)
+        if (exception) return [ openapi, { exception } ]
+
+        return readBody(pathError ? undefined : match.operation, _req, options)
+          .then(bodyResult => [ openapi, bodyResult ])
+      })
+      .then(([ openapi, bodyResult ]) => {
         // make a copy of the request to be used just within this middleware
         const req = Object.create(Object.getPrototypeOf(_req))
         Object.assign(req, _req)
+        requestStarts.set(req, start)
 
         // parse, serialize, and validate request
         debug.request('validating and parsing')
@@ -153,8 +519,29 @@ OpenApiEnforcerMiddleware.prototype.middleware = function () {
           method: req.method,
           path: req.originalUrl.substr(req.baseUrl.length)
         }
-        if (hasBody(req)) requestObj.body = req.body
-        const [ request, clientError ] = openapi.request(requestObj, { allowOtherQueryParameters: this.options.allowOtherQueryParameters })
+        if (bodyResult) {
+          requestObj.body = bodyResult.body
+        } else if (hasBody(req)) {
+          requestObj.body = req.body
+        }
+
+        // remove read only properties from the body instead of rejecting the request
+        if (options.reqFilter && requestObj.hasOwnProperty('body') && !(bodyResult && bodyResult.exception)) {
+          const [ match, pathError ] = openapi.path(requestObj.method, requestObj.path)
+          if (!pathError) {
+            const type = media.getMediaType(req.headers['content-type'] || '')
+            const found = getRequestSchema(match.operation, type)
+            const [ value, stripped ] = filter.request(requestObj.body, found && found.schema)
+            if (stripped.length) {
+              debug.request('filtered properties: ' + stripped.join(', '))
+              emitEvent(this, 'request-filtered', openapi, match.operation, req, { stripped })
+            }
+            requestObj.body = value
+          }
+        }
+        const [ request, clientError ] = bodyResult && bodyResult.exception
+          ? [ undefined, bodyResult.exception ]
+          : openapi.request(requestObj, { allowOtherQueryParameters: this.options.allowOtherQueryParameters })
 
         // 404 or 405 renders this middleware useless so exit appropriately
         if (clientError && clientError.statusCode === 404) {
@@ -165,18 +552,20 @@ OpenApiEnforcerMiddleware.prototype.middleware = function () {
             res.sendStatus(clientError.statusCode)
           }
         } else if (clientError && clientError.statusCode === 405) {
+          emitEvent(this, 'request-rejected', openapi, undefined, req, { exception: clientError, statusCode: 405 })
           next(errorFromException(clientError))
         } else {
-          // overwrite the send
-          res.send = function (body) {
-            res.send = send
-
+          // validate and serialize the response, returning undefined if it failed
+          const enforce = (body, isSerialized) => {
             const code = res.statusCode || 200
             const openapi = req[options.reqOpenApiProperty]
             const operation = req[options.reqOperationProperty]
             const headers = res.getHeaders()
             const v2 = openapi.hasOwnProperty('swagger')
 
+            // without an operation there is no response definition to enforce
+            if (!operation) return body === undefined ? {} : { body }
+
             // if content type is not specified for openapi version >= 3 then derive it
             if (!headers['content-type'] && !v2) {
               const [ types ] = operation.getResponseContentTypeMatches(code, req.headers.accept || '*/*')
@@ -187,46 +576,267 @@ OpenApiEnforcerMiddleware.prototype.middleware = function () {
               }
             }
 
-            const bodyValue = openapi.enforcerData.context.Schema.Value(body, {
-              serialize: options.resSerialize,
-              validate: options.resValidate
-            })
-            const [ response, exception ] = operation.response(code, bodyValue, Object.assign({}, headers))
+            // bodies written directly to the response must be deserialized before they can be enforced
+            if (isSerialized) {
+              const [ value, exception ] = deserializeResponseBody(operation, code, headers['content-type'], body, options.parsers)
+              if (exception) {
+                emitEvent(this, 'response-rejected', openapi, operation, req, { exception, statusCode: code })
+                res.status(500)
+                next(errorFromException(exception))
+                return
+              }
+              body = value
+            }
+
+            // remove write only and undocumented properties instead of failing validation
+            if (options.resFilter) {
+              const type = headers['content-type'] && media.getMediaType(headers['content-type'])
+              const [ value, stripped ] = filter.response(body, getResponseSchema(operation, code, type))
+              if (stripped.length) {
+                debug.response('filtered properties: ' + stripped.join(', '))
+                emitEvent(this, 'response-filtered', openapi, operation, req, { statusCode: code, stripped })
+              }
+              body = value
+            }
+
+            debug.response('validating and serializing')
+            const { Value } = openapi.enforcerData.context.Schema
+            const policy = responseValidationPolicies.get(operation) || { policy: options.resValidatePolicy, sampleRate: options.resValidateSampleRate }
+            const validate = options.resValidate && (policy.policy !== 'sample' || Math.random() < policy.sampleRate)
+            let [ response, exception ] = operation.response(code, Value(body, { serialize: options.resSerialize, validate }), Object.assign({}, headers))
+            const validated = { statusCode: code, validated: validate }
+
+            // report the invalid response and then send it anyway
+            if (exception && validate && policy.policy !== 'enforce') {
+              debug.response('reporting invalid response')
+              validated.exception = exception
+              try {
+                options.resValidateReporter(exception, req, res)
+              } catch (err) {
+                debug.response('response validation reporter failed: ' + err.message)
+              }
+              [ response, exception ] = operation.response(code, Value(body, { serialize: options.resSerialize, validate: false }), Object.assign({}, headers))
+            }
             if (exception) {
+              emitEvent(this, 'response-rejected', openapi, operation, req, { exception, statusCode: code })
               res.status(500)
-              return next(errorFromException(exception))
+              next(errorFromException(exception))
+              return
+            }
+            emitEvent(this, 'response-validated', openapi, operation, req, validated)
+            if (req[options.reqMockProperty]) {
+              emitEvent(this, 'mock-served', openapi, operation, req, { mock: req[options.reqMockProperty], statusCode: code })
             }
 
             Object.keys(response.headers).forEach(header => res.set(header, extractValue(response.headers[header])))
-            if (response.hasOwnProperty('body')) {
+
+            // record validated controller responses for later replay
+            if (options.record && requestParameters.has(req) && res.getHeader(ENFORCER_HEADER) === 'controller') {
+              const recordedHeaders = Object.assign({}, response.headers)
+              if (headers['content-type']) recordedHeaders['content-type'] = headers['content-type']
+              options.recorder.record(openapi, operation, requestParameters.get(req), {
+                statusCode: code,
+                headers: recordedHeaders,
+                body: response.body
+              })
+                .catch(err => debug.response('unable to record response: ' + err.message))
+            }
+
+            // bytes that were written directly and not deserialized are sent as they were written
+            if (isSerialized && Buffer.isBuffer(body)) response.body = body
+
+            return response
+          }
+
+          // send an enforced response with the original send
+          const send = response => {
+            const contentType = res.getHeader('content-type')
+            const serializer = contentType && options.serializers.get(contentType)
+            if (!response.hasOwnProperty('body')) {
+              res.send()
+            } else if (Buffer.isBuffer(response.body)) {
+              res.send(response.body)
+            } else if (serializer) {
+              let body
+              try {
+                body = serializer(response.body, { contentType, operation: req[options.reqOperationProperty], schema: response.schema })
+              } catch (err) {
+                res.status(500)
+                return next(err)
+              }
+              res.send(body)
+            } else {
               const sendObject = response.schema && response.schema.type
                 ? ['array', 'object'].indexOf(response.schema.type) !== -1
                 : typeof response.body === 'object'
               res.send(sendObject ? response.body : String(response.body))
+            }
+          }
+
+          // validate streamed bodies one item at a time instead of collecting them, returns undefined if the body can't be streamed
+          const startStream = () => {
+            const operation = req[options.reqOperationProperty]
+            const code = res.statusCode || 200
+            let contentType = res.getHeader('content-type')
+            if (!contentType && !openapi.hasOwnProperty('swagger')) {
+              const [ types ] = operation.getResponseContentTypeMatches(code, req.headers.accept || '*/*')
+              if (types) {
+                contentType = types[0]
+                res.set('content-type', contentType)
+              }
+            }
+            const type = media.getMediaType(contentType)
+            const schema = getResponseSchema(operation, code, type)
+            if (!stream.isStreamable(type, schema)) return
+
+            debug.response('validating streamed response')
+            let writable = true
+            const enforcer = stream.createStreamEnforcer(type, schema, {
+              write: text => {
+                writable = original.write.call(res, text)
+              },
+              invalid: exception => {
+                if (options.resStreamAction === 'abort') {
+                  debug.response('aborting streamed response')
+                  emitEvent(this, 'response-rejected', openapi, operation, req, { exception, statusCode: code })
+                  req.socket.destroy()
+                } else {
+                  debug.response('reporting invalid streamed item')
+                  try {
+                    options.resValidateReporter(exception, req, res)
+                  } catch (err) {
+                    debug.response('response validation reporter failed: ' + err.message)
+                  }
+                }
+                return options.resStreamAction
+              }
+            })
+            return {
+              write: buffer => enforcer.write(buffer) && writable,
+              end: () => {
+                if (!enforcer.end()) return
+                emitEvent(this, 'response-validated', openapi, operation, req, { statusCode: code, validated: true })
+                original.end.call(res)
+              }
+            }
+          }
+
+          // overwrite every function that can send a response so that no response escapes enforcement
+          const chunks = []
+          let streamed
+          enforcedResponses.add(res)
+          res.send = function (body) {
+            restore()
+            const response = enforce(body, false)
+            if (response) send(response)
+            return res
+          }
+          res.json = function (body) {
+            restore()
+            const response = enforce(body, false)
+            if (!response) return res
+            const contentType = res.getHeader('content-type')
+            if (contentType && options.serializers.get(contentType)) {
+              send(response)
             } else {
-              res.send()
+              res.json(response.body)
             }
+            return res
+          }
+          res.sendStatus = function (code) {
+            restore()
+            res.status(code)
+            if (enforce(undefined, false)) res.sendStatus(code)
+            return res
+          }
+          res.write = function (chunk, encoding, callback) {
+            // bodies that are not validated are sent as they are written
+            if (!options.resValidate || !req[options.reqOperationProperty]) {
+              restore()
+              return res.write(chunk, encoding, callback)
+            }
+            if (typeof encoding === 'function') [ encoding, callback ] = [ undefined, encoding ]
+            if (!streamed && !chunks.length) streamed = startStream()
+            if (callback) process.nextTick(callback)
+            if (streamed) return streamed.write(toBuffer(chunk, encoding))
+            chunks.push(toBuffer(chunk, encoding))
+            return true
+          }
+          res.end = function (chunk, encoding, callback) {
+            if (typeof chunk === 'function') [ chunk, callback ] = [ undefined, chunk ]
+            if (typeof encoding === 'function') [ encoding, callback ] = [ undefined, encoding ]
+            if (callback) res.once('finish', callback)
+            if (streamed) {
+              if (chunk !== undefined && chunk !== null) streamed.write(toBuffer(chunk, encoding))
+              restore()
+              streamed.end()
+              return res
+            }
+            restore()
+            if (chunk !== undefined && chunk !== null) chunks.push(toBuffer(chunk, encoding))
+            const response = enforce(chunks.length ? Buffer.concat(chunks) : undefined, true)
+            if (response) send(response)
+            return res
           }
 
           // store openapi instance with request object
           req[options.reqOpenApiProperty] = openapi
 
           const runner = middlewareRunner(options.middleware, true, req, res, next)
-          if (clientError) {
-            const [ value, pathError ] = openapi.path(requestObj.method, requestObj.path)
-            req[options.reqOperationProperty] = pathError ? undefined : value.operation
-            runner(errorFromException(clientError))
-          } else {
-            // store operation instance with request
-            req[options.reqOperationProperty] = request.operation
-
-            // copy deserialized and validated parameters to the request object
-            req.params = request.path || {}
-            ;['cookies', 'headers', 'params', 'query'].forEach(key => { req[key] = Object.assign({}, req[key], request[key]) })
-            if (request.hasOwnProperty('body')) req.body = request.body
-
-            runner()
+          const operation = clientError
+            ? (() => {
+              const [ value, pathError ] = openapi.path(requestObj.method, requestObj.path)
+              return pathError ? undefined : value.operation
+            })()
+            : request.operation
+
+          // store operation instance with request
+          req[options.reqOperationProperty] = operation
+
+          const proceed = () => {
+            if (clientError) {
+              emitEvent(this, 'request-rejected', openapi, operation, req, { exception: clientError, statusCode: clientError.statusCode })
+              runner(errorFromException(clientError))
+            } else {
+              // copy deserialized and validated parameters to the request object
+              req.params = request.path || {}
+              ;['cookies', 'headers', 'params', 'query'].forEach(key => { req[key] = Object.assign({}, req[key], request[key]) })
+              if (request.hasOwnProperty('body')) req.body = request.body
+              if (bodyResult && bodyResult.files) {
+                req[options.reqFilesProperty] = bodyResult.files
+                if (options.multipartFiles === 'stream') req.body = multipart.toStreams(req.body, bodyResult.files)
+              }
+              requestParameters.set(req, {
+                cookie: request.cookie,
+                header: request.headers,
+                path: request.path,
+                query: request.query
+              })
+
+              emitEvent(this, 'request-parsed', openapi, operation, req)
+
+              // middleware declared by the operation runs before any other middleware, controllers, or mocks
+              const names = operationMiddleware.get(operation)
+              if (names && names.length) {
+                const declared = names.map(name => options.namedMiddleware.get(name))
+                return middlewareRunner(declared, false, req, res, runner)()
+              }
+              runner()
+            }
           }
+
+          // security requirements are only enforced once an authenticator has been registered
+          if (!operation || !options.authenticators.size) return proceed()
+          debug.request('authenticating')
+          return security.authenticate(openapi, operation, req, options.authenticators)
+            .then(result => {
+              if (result.exception) {
+                emitEvent(this, 'request-rejected', openapi, operation, req, { exception: result.exception, statusCode: result.exception.statusCode })
+                return runner(errorFromException(result.exception))
+              }
+              req[options.reqSecurityProperty] = result.security
+              proceed()
+            })
         }
       })
       .catch(next)
@@ -235,17 +845,12 @@ OpenApiEnforcerMiddleware.prototype.middleware = function () {
 
 OpenApiEnforcerMiddleware.prototype.mocks = function (controllersTarget, automatic = false, ...dependencyInjection) {
   const options = this.options
-  let _openapi
-  const promise = this.promise
-    .then(openapi => {
-      _openapi = openapi
-      return controllersTarget
-        ? mapControllers(openapi, true, controllersTarget, dependencyInjection, this.options)
-        : { controllers: new Map(), exception: null }
-    })
+  const group = createControllersGroup(this, true, controllersTarget, dependencyInjection)
+  group.automatic = !!automatic
 
   this.use((req, res, next) => {
-    promise
+    const _openapi = req[options.reqOpenApiProperty]
+    group.get(_openapi)
       .then(({ controllers }) => {
         const operation = req[this.options.reqOperationProperty]
         const controller = controllers.get(operation)
@@ -255,10 +860,19 @@ OpenApiEnforcerMiddleware.prototype.mocks = function (controllersTarget, automat
         const mockHeaderKey = options.mockHeader
         const mockQueryKey = options.mockQuery
         let mock
+        const scenarioName = req.headers[options.mockScenarioHeader.toLowerCase()] || getCookie(req, options.mockScenarioCookie)
+        const scenario = scenarioName ? mockScenarios.get(_openapi).get(scenarioName) : undefined
         if (req.query.hasOwnProperty(mockQueryKey)) {
           mock = parseMockValue('query', responseCodes, req.query[mockQueryKey])
         } else if (req.headers.hasOwnProperty(mockHeaderKey)) {
           mock = parseMockValue('header', responseCodes, req.headers[mockHeaderKey])
+        } else if (scenarioName && !scenario) {
+          const exception = new Enforcer.Exception('Unable to generate mock response')
+          exception.message('Mock scenario is not defined: ' + scenarioName)
+          return unableToMock(exception, next)
+        } else if (scenario && operation.operationId && scenario.hasOwnProperty(operation.operationId)) {
+          mock = parseMockValue('scenario', responseCodes, String(scenario[operation.operationId]))
+          mock.scenario = scenarioName
         } else if (automatic) {
           mock = {
             origin: 'automatic',
@@ -272,190 +886,295 @@ OpenApiEnforcerMiddleware.prototype.mocks = function (controllersTarget, automat
         if (!mock) return next()
 
         const version = _openapi.swagger ? 2 : +/^(\d+)/.exec(_openapi.openapi)[0]
+        // problems with a scenario are problems with the server's mock configuration
         const exception = new Enforcer.Exception('Unable to generate mock response')
-        exception.statusCode = 400
+        exception.statusCode = mock.origin === 'scenario' ? 501 : 400
+        if (mock.error) {
+          exception.message(mock.error)
+          return next(errorFromException(exception))
+        }
 
         if (operation.responses.hasOwnProperty(mock.statusCode)) mock.response = operation.responses[mock.statusCode]
+        if (!mock.seed) mock.seed = options.mockSeed || seededRandom.createSeed()
         req[options.reqMockProperty] = mock
 
-        // if a controller is provided then call it
-        if (!mock.source || mock.source === 'controller') {
-          if (controller) {
-            res.set(ENFORCER_HEADER, 'mock:controller')
-            debug.controllers('executing mock controller')
-            try {
-              controller(req, res, next)
-            } catch (err) {
-              next(err)
-            }
-            return
-          } else if (mock.source) {
-            exception.message('A mock controller is not defined')
-            return unableToMock(exception, next)
+        // random mocks are repeatable for the same operation and seed
+        const { method, pathKey } = getOperationPath(_openapi, operation)
+        const seeded = fn => seededRandom.withSeed(mock.seed, method + ' ' + pathKey, fn)
+
+        // templated examples are rendered from their serialized definition and then deserialized
+        const helpers = { render: null, seeded }
+        if (options.mockTemplates) {
+          helpers.render = (value, schema) => {
+            const rendered = seeded(() => template.render(value, {
+              body: req.body,
+              cookies: req.cookies,
+              headers: req.headers,
+              path: req.params,
+              query: req.query
+            }))
+            return schema ? schema.deserialize(rendered) : [ rendered ]
           }
         }
 
-        // if response code is not a listed response then we have a problem
-        const response = mock.response
-        if (!response) {
-          debug.controllers('unable to generate mock for unlisted status code')
-          exception.message('No response is defined for status code: ' + mock.statusCode)
-          return next(errorFromException(exception))
-        }
-
-        // version 2
-        if (version === 2) {
-          if (!mock.source || mock.source === 'example') {
-            // to use content type specified example the produces must have example key
-            if (response.hasOwnProperty('examples')) {
-              const [ types ] = operation.getResponseContentTypeMatches(mock.statusCode, req.headers.accept || '*/*')
-              if (types) {
-                const type = types[0]
-                if (response.examples.hasOwnProperty(type)) {
-                  res.status(mock.statusCode)
-                  const example = deserializeExample(
-                    exception.nest('Unable to deserialize example'),
-                    response.examples[type],
-                    response.schema,
-                    next
-                  )
-                  return res.send(example)
-                }
+        const respond = () => {
+          // if a controller is provided then call it
+          if (!mock.source || mock.source === 'controller') {
+            if (controller) {
+              res.set(ENFORCER_HEADER, 'mock:controller')
+              debug.controllers('executing mock controller')
+              try {
+                controller(req, res, next)
+              } catch (err) {
+                next(err)
               }
-            }
-
-            // use schema example if set
-            if (response.schema && response.schema.hasOwnProperty('example')) {
-              res.status(mock.statusCode)
-              return res.send(copy(response.schema.example))
-            }
-
-            if (mock.source) {
-              exception.message('Cannot mock from example')
+              return
+            } else if (mock.source) {
+              exception.message('A mock controller is not defined')
               return unableToMock(exception, next)
             }
           }
 
-          if (!mock.source || mock.source === 'random') {
-            const schema = response.schema
-            if (schema) {
-              const [value, err, warning] = schema.random()
-              if (err) {
-                exception.push(err)
-                return unableToMock(exception, next)
-              }
-
-              if (warning) {
-                exception.push(warning)
-                return unableToMock(exception, next)
+          // stateful mocks store and serve resources for collection style operations
+          if (options.mockStore && (mock.source === 'store' || (!mock.source && !mock.specified))) {
+            const result = options.mockStore.handle(_openapi, operation, req)
+            if (result && result.found) {
+              res.set(ENFORCER_HEADER, 'mock:store')
+              debug.mock('serving from mock store')
+              res.status(+result.statusCode)
+              return result.hasOwnProperty('body') ? res.send(result.body) : res.send()
+            } else if (result) {
+              // unknown resource so mock the 404 response as defined by the operation
+              if (!operation.responses.hasOwnProperty('404')) {
+                const notFound = new Enforcer.Exception('Resource not found')
+                notFound.statusCode = 404
+                return next(errorFromException(notFound))
               }
-
-              res.status(mock.statusCode)
-              return res.send(value)
-            } else {
-              exception.message('No schema associated with response')
+              mock.source = ''
+              mock.statusCode = '404'
+              mock.response = operation.responses['404']
+            } else if (mock.source === 'store') {
+              exception.message('The mock store cannot handle this operation')
               return unableToMock(exception, next)
             }
+          } else if (mock.source === 'store') {
+            exception.message('The mock store is not enabled')
+            return unableToMock(exception, next)
           }
 
-        // version 3
-        } else if (version === 3) {
-          const [ types, err ] = operation.getResponseContentTypeMatches(mock.statusCode, req.headers.accept || '*/*')
-
-          // if no content type matches then no possible mocked response
-          if (err) {
-            exception.push(err)
+          // replay a recorded response
+          if (!options.recorder && mock.source === 'recorded') {
+            exception.message('There is no recordings directory to replay from')
             return unableToMock(exception, next)
+          } else if (options.recorder && (!mock.source || mock.source === 'recorded')) {
+            return options.recorder.find(_openapi, operation, mock.statusCode, requestParameters.get(req))
+              .then(entry => {
+                if (entry) {
+                  res.set(ENFORCER_HEADER, 'mock:recorded')
+                  debug.mock('replaying recorded response')
+                  return replayRecordedResponse(res, next, operation, entry, exception)
+                } else if (mock.source) {
+                  exception.message('No recorded response for status code: ' + mock.statusCode)
+                  return unableToMock(exception, next)
+                }
+                mockFromDefinition(req, res, next, operation, mock, version, exception, helpers)
+              })
           }
-          const type = types[0]
-          const content = response.content[type]
-
-          if (!mock.source || mock.source === 'example') {
-            // named example requested
-            if (mock.name) {
-              if (content.examples && content.examples.hasOwnProperty(mock.name) && content.examples[mock.name].hasOwnProperty('value')) {
-                res.status(mock.statusCode)
-                const example = deserializeExample(
-                  exception.nest('Unable to deserialize example: ' + mock.name),
-                  content.examples[mock.name].value,
-                  content.schema,
-                  next
-                )
-                return res.send(example)
-              } else {
-                exception.message('There is no example value with the name specified: ' + mock.name)
-                return unableToMock(exception, next)
-              }
-            }
-
-            // select from a named example
-            const exampleNames = content.examples
-              ? Object.keys(content.examples).filter(name => content.examples[name].hasOwnProperty('value'))
-              : []
-            if (content.examples && exampleNames.length > 0) {
-              const index = Math.floor(Math.random() * exampleNames.length)
-              res.status(mock.statusCode)
-              const example = deserializeExample(
-                exception.nest('Unable to deserialize example: ' + exampleNames[index]),
-                content.examples[exampleNames[index]].value,
-                content.schema,
-                next
-              )
-              return res.send(example)
-            }
 
-            // select the example
-            if (content.hasOwnProperty('example')) {
-              res.status(mock.statusCode)
-              return res.send(copy(content.example))
-            }
-
-            // select schema example
-            if (content.schema && content.schema.hasOwnProperty('example')) {
-              res.status(mock.statusCode)
-              return res.send(copy(content.schema.example))
-            }
+          mockFromDefinition(req, res, next, operation, mock, version, exception, helpers)
+        }
 
-            // unable to mock with requested source
-            if (mock.source) {
-              exception.message('A mock example is not defined')
-              return unableToMock(exception, next)
-            }
+        // simulate slow and failing backends, the fault decisions are repeatable with the seed too
+        const faults = Object.assign({}, options.mockFaults, mock.faults)
+        const chances = seeded(() => ({ delay: Math.random(), drop: Math.random(), error: Math.random(), status: Math.random() }))
+        const delay = faults.delay ? faults.delay[0] + chances.delay * (faults.delay[1] - faults.delay[0]) : 0
+        return wait(delay).then(() => {
+          if (faults.drop && chances.drop < faults.drop) {
+            debug.mock('dropping connection')
+            mock.fault = 'drop'
+            return req.socket.destroy()
           }
 
-          if (!mock.source || mock.source === 'random') {
-            const schema = response.content[type].schema
-            if (schema) {
-              const [ value, err, warning ] = schema.random()
-              if (err) {
-                exception.push(err)
-                return unableToMock(exception, next)
-              }
-
-              if (warning) {
-                exception.push(warning)
-                return unableToMock(exception, next)
-              }
-
-              res.set('Content-Type', type)
-              if (mock.statusCode !== 'default') res.status(+mock.statusCode)
-              return res.send(value)
-            } else {
-              exception.message('No schema associated with response')
-              return unableToMock(exception, next)
-            }
+          // injected errors are mocked from the operation's declared error responses, a configured
+          // error status only applies to the operations that declare it
+          const declaredCodes = responseCodes.filter(code => /^[45]\d\d$/.test(code))
+          let errorCodes = declaredCodes
+          if (mock.faults && mock.faults.errorStatus) {
+            errorCodes = [ mock.faults.errorStatus ]
+          } else if (faults.errorStatus && declaredCodes.indexOf(faults.errorStatus) !== -1) {
+            errorCodes = [ faults.errorStatus ]
           }
-        }
+          if (faults.error && errorCodes.length && chances.error < faults.error) {
+            debug.mock('injecting error response')
+            res.set(ENFORCER_HEADER, 'mock:error;seed=' + mock.seed)
+            mock.fault = 'error'
+            mock.source = ''
+            mock.statusCode = errorCodes[Math.floor(chances.status * errorCodes.length)]
+            mock.response = operation.responses[mock.statusCode]
+            return mockFromDefinition(req, res, next, operation, mock, version, exception, helpers)
+          }
+
+          respond()
+        })
       })
       .catch(next)
   })
 
-  return promise.then(({ controllers, exception }) => {
+  return group.promise.then(({ controllers, exception }) => {
     if (exception) throw errorFromException(exception)
     return controllers
   })
 }
 
+/**
+ * Register middleware by name so that operations can run it by listing the name in their
+ * x-middleware extension. Names must be registered before the OpenAPI document finishes loading.
+ * @param {string} name
+ * @param {function} middleware An express style middleware function.
+ */
+OpenApiEnforcerMiddleware.prototype.namedMiddleware = function (name, middleware) {
+  if (typeof name !== 'string') throw Error('Invalid middleware name. Value must be a string. Received: ' + name)
+  if (typeof middleware !== 'function') throw Error('Invalid middleware. Value must be a function. Received: ' + middleware)
+  this.options.namedMiddleware.set(name, middleware)
+}
+
+/**
+ * Register a request body parser for a media type. Parsers for the same media type replace
+ * the built in parsers.
+ * @param {string} mediaType The media type, for example "application/xml" or "text/*".
+ * @param {function} parse A function that receives the body text and an object with the
+ *  contentType, operation, and schema. It returns the parsed body or throws an error.
+ */
+OpenApiEnforcerMiddleware.prototype.parser = function (mediaType, parse) {
+  if (typeof mediaType !== 'string') throw Error('Invalid media type. Value must be a string. Received: ' + mediaType)
+  if (typeof parse !== 'function') throw Error('Invalid parser. Value must be a function. Received: ' + parse)
+  this.options.parsers.set(mediaType, parse)
+}
+
+/**
+ * Rebuild the OpenAPI definition and re-map all controllers. Requests that are already in
+ * progress will finish using the previous definition and controllers. If the rebuild fails
+ * then the previous definition and controllers remain in use.
+ * @returns {Promise<object>} Resolves to the new OpenAPI enforcer document.
+ */
+OpenApiEnforcerMiddleware.prototype.reload = function () {
+  const promise = this.options.loadDefinition()
+  return promise
+    .then(openapi => {
+      const groups = this.options.controllerGroups
+      const results = groups.map(group => {
+        const result = group.load(openapi, true)
+        if (result.exception) throw errorFromException(result.exception)
+        return result
+      })
+      groups.forEach((group, index) => { group.promise = Promise.resolve(results[index]) })
+      this.promise = promise
+      debug.watch('reloaded')
+      return openapi
+    })
+}
+
+/**
+ * Log the routes and what handles each of them.
+ * @param {object} [options]
+ * @param {function|null} [options.logger=console.log] The function that receives the report.
+ *  Set to null to skip the report.
+ * @param {boolean} [options.strict=false] Reject if any operation is not implemented.
+ * @returns {Promise<object[]>} Resolves to the routes.
+ */
+OpenApiEnforcerMiddleware.prototype.report = function (options) {
+  if (options !== undefined && (!options || typeof options !== 'object')) throw Error('Invalid option specified. Expected an object. Received: ' + options)
+  if (!options) options = {}
+
+  const logger = options.hasOwnProperty('logger') ? options.logger : console.log
+  const strict = options.hasOwnProperty('strict') ? !!options.strict : false
+  if (logger !== null && typeof logger !== 'function') throw Error('Configuration option "logger" must be a function or null. Received: ' + logger)
+
+  return this.routes()
+    .then(routes => {
+      if (logger) logger(formatRoutes(routes))
+      const unimplemented = routes.filter(route => !route.handledBy)
+      if (strict && unimplemented.length) {
+        throw Error('One or more operations are not implemented:\n  ' +
+          unimplemented.map(route => route.method + ' ' + route.path + (route.operationId ? ' (' + route.operationId + ')' : '')).join('\n  '))
+      }
+      return routes
+    })
+}
+
+/**
+ * Get every operation in the OpenAPI document and what handles it. Only controllers and mocks
+ * that have been registered when this function is called are considered.
+ * @returns {Promise<{ method: string, path: string, operationId?: string, controller?: string, operation?: string, handledBy: string|null }[]>}
+ */
+OpenApiEnforcerMiddleware.prototype.routes = function () {
+  const options = this.options
+  const groups = options.controllerGroups.slice(0)
+  return this.promise
+    .then(openapi => Promise.all(groups.map(group => group.get(openapi).catch(() => ({ controllers: new Map() }))))
+      .then(results => {
+        const routes = []
+        Object.keys(openapi.paths).forEach(pathKey => {
+          const pathItem = openapi.paths[pathKey]
+          pathItem.methods.forEach(method => {
+            const operation = pathItem[method]
+            const { controllerName, operationName } = getControllerNames(openapi, pathItem, operation, options)
+            const isMapped = predicate => groups.some((group, index) => predicate(group) && results[index].controllers.has(operation))
+            const route = {
+              method: method.toUpperCase(),
+              path: pathKey,
+              handledBy: null
+            }
+            if (operation.operationId) route.operationId = operation.operationId
+            if (controllerName && operationName) {
+              route.controller = controllerName
+              route.operation = operationName
+            }
+            if (isMapped(group => !group.isMock)) {
+              route.handledBy = 'controller'
+            } else if (isMapped(group => group.isMock) || groups.some(group => group.isMock && group.automatic)) {
+              route.handledBy = 'mock'
+            }
+            routes.push(route)
+          })
+        })
+        return routes
+      }))
+}
+
+/**
+ * Register an authenticator for a security scheme defined in the OpenAPI document.
+ * @param {string} name The security scheme name.
+ * @param {function} authenticator A function that receives the credentials, the request,
+ *  and the security scheme. It returns (or resolves to) a falsy value if the credentials are
+ *  not valid, otherwise true or an object with optional principal and scopes properties.
+ */
+OpenApiEnforcerMiddleware.prototype.security = function (name, authenticator) {
+  if (typeof name !== 'string') throw Error('Invalid security scheme name. Value must be a string. Received: ' + name)
+  if (typeof authenticator !== 'function') throw Error('Invalid authenticator. Value must be a function. Received: ' + authenticator)
+  this.options.authenticators.set(name, authenticator)
+}
+
+/**
+ * Register a response body serializer for a media type. Serializers for the same media type
+ * replace the built in serializers.
+ * @param {string} mediaType The media type, for example "application/xml" or "text/*".
+ * @param {function} serialize A function that receives the validated and serialized body and
+ *  an object with the contentType, operation, and schema. It returns a string or a Buffer.
+ */
+OpenApiEnforcerMiddleware.prototype.serializer = function (mediaType, serialize) {
+  if (typeof mediaType !== 'string') throw Error('Invalid media type. Value must be a string. Received: ' + mediaType)
+  if (typeof serialize !== 'function') throw Error('Invalid serializer. Value must be a function. Received: ' + serialize)
+  this.options.serializers.set(mediaType, serialize)
+}
+
+/**
+ * Stop watching files for changes. Only applies if the watch option was enabled.
+ */
+OpenApiEnforcerMiddleware.prototype.unwatch = function () {
+  if (this.options.watcher) this.options.watcher.close()
+}
+
 OpenApiEnforcerMiddleware.prototype.use = function (middleware) {
   if (typeof middleware !== 'function') throw Error('Invalid middleware. Value must be a function. Received: ' + middleware)
   this.options.middleware.push(middleware)
@@ -475,6 +1194,35 @@ function copy (value) {
   }
 }
 
+function createControllersGroup (context, isMock, controllersTarget, dependencyInjection) {
+  const options = context.options
+  const results = new WeakMap()
+  const isDirectory = typeof controllersTarget === 'string'
+
+  // map the controllers for a specific build of the definition
+  const load = (openapi, isReload) => {
+    if (isReload && isDirectory) watch.clearRequireCache(controllersTarget)
+    const result = isMock && !controllersTarget
+      ? { controllers: new Map(), exception: null }
+      : mapControllers(openapi, isMock, controllersTarget, dependencyInjection, options)
+    results.set(openapi, result)
+    return result
+  }
+
+  if (options.watcher && isDirectory) options.watcher.add(controllersTarget)
+
+  // a reload replaces the promise so that a failed first build is not used once a reload succeeds
+  const group = {
+    automatic: false,
+    isMock,
+    load,
+    promise: context.promise.then(openapi => load(openapi, false)),
+    get: openapi => results.has(openapi) ? Promise.resolve(results.get(openapi)) : group.promise
+  }
+  options.controllerGroups.push(group)
+  return group
+}
+
 function deserializeExample (exception, example, schema, next) {
   if (isWithinVersion(null, '1.1.4')) {
     example = copy(example)
@@ -507,13 +1255,185 @@ function exceptionPushError (exception, error) {
   }
 }
 
+// parse and deserialize an invoked response's body, falling back to its text or buffer
+function deserializeInvokedBody (operation, response, parsers) {
+  const { body, headers, statusCode } = response
+  if (body === undefined) return
+  const contentType = headers['content-type']
+  if (operation) {
+    const [ value, exception ] = deserializeResponseBody(operation, statusCode, contentType, body, parsers)
+    if (!exception && !Buffer.isBuffer(value)) return value
+  }
+
+  const type = media.getMediaType(contentType)
+  if (/^application\/(?:[\w.-]+\+)?json$/.test(type)) {
+    try {
+      return JSON.parse(body.toString())
+    } catch (err) {
+      return body.toString()
+    }
+  }
+  return /^text\//.test(type) ? body.toString() : body
+}
+
+function deserializeResponseBody (operation, code, contentType, body, parsers) {
+  if (body === undefined) return [ body ]
+
+  const type = contentType ? String(contentType).split(';')[0].trim() : ''
+  const schema = getResponseSchema(operation, code, type)
+  if (!schema || schema.type === 'file' || (schema.type === 'string' && schema.format === 'binary')) return [ body ]
+
+  const exception = new Enforcer.Exception('Response invalid')
+  const parser = parsers.get(type)
+  let value = body.toString()
+  if (parser) {
+    try {
+      value = parser(value, { contentType, operation, schema })
+    } catch (err) {
+      exception.at('body').message('Unable to parse ' + type + ': ' + err.message)
+      return [ undefined, exception ]
+    }
+  } else if (/^application\/(?:[\w.-]+\+)?json$/.test(type)) {
+    try {
+      value = JSON.parse(value)
+    } catch (err) {
+      exception.at('body').message('Unable to parse JSON: ' + err.message)
+      return [ undefined, exception ]
+    }
+  }
+
+  const [ deserialized, error ] = schema.deserialize(value)
+  if (error) {
+    exception.at('body').push(error)
+    return [ undefined, exception ]
+  }
+  return [ deserialized ]
+}
+
+// emit a lifecycle event, only building its details when something is listening
+function emitEvent (emitter, name, openapi, operation, req, details) {
+  if (!emitter.listenerCount(name)) return
+  const operationPath = operation && getOperationPath(openapi, operation)
+  const start = requestStarts.get(req)
+  emitter.emit(name, Object.assign({
+    duration: start ? getDuration(start) : 0,
+    method: req.method,
+    operation,
+    operationId: operation ? operation.operationId : undefined,
+    path: operationPath ? operationPath.pathKey : undefined,
+    req
+  }, details))
+}
+
 function errorFromException (exception) {
   const err = Error(exception.toString())
   err.exception = exception
+  err.failures = problem.exceptionFailures(exception)
   if (exception.hasOwnProperty('statusCode')) err.statusCode = exception.statusCode
+  if (exception.hasOwnProperty('headers')) err.headers = exception.headers
   return err
 }
 
+function getResponseSchema (operation, code, type) {
+  const responses = operation.responses
+  const response = responses[code] || responses[String(code)[0] + 'XX'] || responses.default
+  return response && (response.content
+    ? response.content[type] && response.content[type].schema
+    : response.schema)
+}
+
+function formatRoutes (routes) {
+  const rows = routes.map(route => [
+    route.method,
+    route.path,
+    route.operationId || '-',
+    route.controller ? route.controller + '.' + route.operation : '-',
+    route.handledBy || 'not implemented'
+  ])
+  const widths = [0, 1, 2, 3].map(index => Math.max.apply(Math, rows.map(row => row[index].length)))
+  const lines = rows.map(row => '  ' + row.map((value, index) => index < 4 ? value + ' '.repeat(widths[index] - value.length) : value).join('  '))
+  const count = routes.filter(route => route.handledBy).length
+  return 'OpenAPI routes (' + count + ' of ' + routes.length + ' implemented):' + (lines.length ? '\n' + lines.join('\n') : '')
+}
+
+// the controller is named by the operation, its path, or the document root, in that order
+function getControllerNames (openapi, pathItem, operation, options) {
+  const xController = options.xController
+  return {
+    controllerName: (operation && operation[xController]) || pathItem[xController] || (openapi && openapi[xController]),
+    operationName: operation && (operation[options.xOperation] || operation.operationId)
+  }
+}
+
+// read a cookie from a cookie parser or from the cookie header
+function getCookie (req, name) {
+  if (req.cookies && typeof req.cookies[name] === 'string') return req.cookies[name]
+  return parseCookies(req.headers.cookie || '')[name]
+}
+
+// milliseconds elapsed since an hrtime
+function getDuration (start) {
+  const [ seconds, nanoseconds ] = process.hrtime(start)
+  return seconds * 1000 + nanoseconds / 1e6
+}
+
+// get the value of an extension from the operation, its path item, or the document, in that order
+function getExtension (name, openapi, pathItem, operation) {
+  return [ operation, pathItem, openapi ]
+    .map(item => item[name])
+    .find(value => value !== undefined)
+}
+
+// normalize mock fault settings, returning an error message if they are invalid
+function getMockFaults (settings) {
+  const faults = {}
+  const keys = Object.keys(settings)
+  const length = keys.length
+  for (let i = 0; i < length; i++) {
+    const key = keys[i]
+    const value = settings[key]
+    if (key === 'delay') {
+      const range = (Array.isArray(value) ? value : String(value).split('-')).map(toNumber)
+      const [ min, max ] = range.length === 1 ? [ range[0], range[0] ] : range
+      if (range.length > 2 || !(min >= 0) || !(max >= min)) return [ undefined, 'Mock delay must be a number of milliseconds or a range of milliseconds. Received: ' + value ]
+      faults.delay = [ min, max ]
+    } else if (key === 'drop' || key === 'error') {
+      const probability = toNumber(value)
+      if (!isProbability(probability)) return [ undefined, 'Mock ' + key + ' must be a probability between 0 and 1. Received: ' + value ]
+      faults[key] = probability
+    } else if (key === 'errorStatus') {
+      if (!/^[45]\d\d$/.test(String(value))) return [ undefined, 'Mock errorStatus must be a 4xx or 5xx status code. Received: ' + value ]
+      faults.errorStatus = String(value)
+    } else {
+      return [ undefined, 'Unknown mock directive: ' + key ]
+    }
+  }
+  return [ faults ]
+}
+
+// find the request body schema for a media type, for either OpenAPI v2 or v3
+function getRequestSchema (operation, type) {
+  if (operation.requestBody) {
+    const content = operation.requestBody.content || {}
+    const [ mainType ] = type.split('/')
+    const media = content[type] || content[mainType + '/*'] || content['*/*']
+    return media ? { schema: media.schema } : undefined
+  }
+  const parameter = (operation.parameters || []).find(parameter => parameter.in === 'body')
+  return parameter ? { schema: parameter.schema } : undefined
+}
+
+// get a response validation policy from an extension value, or undefined if the value is invalid
+function getResponseValidationPolicy (value, options) {
+  if (typeof value === 'string') value = { policy: value }
+  if (!isNonNullObject(value) || RESPONSE_VALIDATION_POLICIES.indexOf(value.policy) === -1) return
+  if (value.hasOwnProperty('sampleRate') && !isProbability(value.sampleRate)) return
+  return {
+    policy: value.policy,
+    sampleRate: value.hasOwnProperty('sampleRate') ? value.sampleRate : options.resValidateSampleRate
+  }
+}
+
 function hasBody (req) {
   if (!req.hasOwnProperty('body')) return false
   return req.headers['transfer-encoding'] !== undefined ||
@@ -534,6 +1454,10 @@ function isNonNullObject (value) {
   return value && typeof value === 'object'
 }
 
+function isProbability (value) {
+  return typeof value === 'number' && value >= 0 && value <= 1
+}
+
 function isWithinVersion (versionLow, versionHigh) {
   const [c1, c2, c3] = enforcerVersion.split('.').map(v => +v)
   if (versionLow) {
@@ -551,12 +1475,64 @@ function isWithinVersion (versionLow, versionHigh) {
   return true
 }
 
+// combine the scenarios from the OpenAPI document with the scenarios option, a directory of JSON files or an object
+function loadMockScenarios (openapi, source) {
+  const scenarios = new Map()
+  const add = (definitions, origin) => {
+    if (!isNonNullObject(definitions)) throw Error('Mock scenarios in ' + origin + ' must be an object. Received: ' + definitions)
+    Object.keys(definitions).forEach(name => {
+      const scenario = definitions[name]
+      if (!isNonNullObject(scenario)) throw Error('Mock scenario "' + name + '" in ' + origin + ' must map operationIds to mock values. Received: ' + scenario)
+      scenarios.set(name, scenario)
+    })
+  }
+
+  if (openapi[MOCK_SCENARIOS_EXTENSION]) add(openapi[MOCK_SCENARIOS_EXTENSION], MOCK_SCENARIOS_EXTENSION)
+  if (typeof source === 'string') {
+    const directory = path.resolve(source)
+    const definitions = {}
+    fs.readdirSync(directory)
+      .filter(file => path.extname(file) === '.json')
+      .forEach(file => {
+        const filePath = path.resolve(directory, file)
+        try {
+          definitions[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+        } catch (err) {
+          throw Error('Unable to load mock scenario ' + filePath + ': ' + err.message)
+        }
+      })
+    add(definitions, directory)
+  } else {
+    add(source, 'the mockScenarios option')
+  }
+
+  // every scenario must reference existing operations with valid mock values
+  const operationIds = new Map()
+  Object.keys(openapi.paths).forEach(pathKey => {
+    const pathItem = openapi.paths[pathKey]
+    pathItem.methods.forEach(method => {
+      const operation = pathItem[method]
+      if (operation.operationId) operationIds.set(operation.operationId, operation)
+    })
+  })
+  scenarios.forEach((scenario, name) => {
+    Object.keys(scenario).forEach(operationId => {
+      const operation = operationIds.get(operationId)
+      if (!operation) throw Error('Mock scenario "' + name + '" references an unknown operationId: ' + operationId)
+      const value = scenario[operationId]
+      const mock = typeof value === 'string' || typeof value === 'number'
+        ? parseMockValue('scenario', Object.keys(operation.responses), String(value))
+        : { error: 'Expected a mock value string. Received: ' + JSON.stringify(value) }
+      if (mock.error) throw Error('Mock scenario "' + name + '" has an invalid value for ' + operationId + '. ' + mock.error)
+    })
+  })
+
+  return scenarios
+}
+
 function mapControllers (openapi, isMock, controllersTarget, dependencyInjection, options) {
   const loadedControllers = {}
   const map = new Map()
-  const xController = options.xController
-  const xOperation = options.xOperation
-  const rootController = openapi && openapi[xController]
 
   // validate input
   let controllersTargetType = typeof controllersTarget
@@ -584,13 +1560,10 @@ function mapControllers (openapi, isMock, controllersTarget, dependencyInjection
 
   Object.keys(openapi.paths).forEach(pathKey => {
     const pathItem = openapi.paths[pathKey]
-    const pathController = pathItem[xController]
 
     pathItem.methods.forEach(method => {
       const operation = pathItem && pathItem[method]
-      const operationController = operation && operation[xController]
-      const controllerName = operationController || pathController || rootController
-      const operationName = operation && (operation[xOperation] || operation.operationId)
+      const { controllerName, operationName } = getControllerNames(openapi, pathItem, operation, options)
       if (controllerName && operationName) {
         const child = exception.at(controllerName)
         let handler
@@ -700,14 +1673,221 @@ function middlewareRunner (store, clearEnforcerHeader, req, res, next) {
   return run
 }
 
+function mockFromDefinition (req, res, next, operation, mock, version, exception, helpers) {
+  // if response code is not a listed response then we have a problem
+  const response = mock.response
+  if (!response) {
+    debug.controllers('unable to generate mock for unlisted status code')
+    exception.message('No response is defined for status code: ' + mock.statusCode)
+    return next(errorFromException(exception))
+  }
+
+  const sendRendered = (component, key, schema) => {
+    const definition = component.enforcerData ? component.enforcerData.definition : component
+    const [ value, error ] = helpers.render(definition[key], schema)
+    if (error) {
+      exception.nest('Unable to render example template').push(error)
+      return unableToMock(exception, next)
+    }
+    return res.send(value)
+  }
+
+  // version 2
+  if (version === 2) {
+    if (!mock.source || mock.source === 'example') {
+      // to use content type specified example the produces must have example key
+      if (response.hasOwnProperty('examples')) {
+        const [ types ] = operation.getResponseContentTypeMatches(mock.statusCode, req.headers.accept || '*/*')
+        if (types) {
+          const type = types[0]
+          if (response.examples.hasOwnProperty(type)) {
+            res.status(mock.statusCode)
+            if (helpers.render) {
+              const definition = response.enforcerData ? response.enforcerData.definition : response
+              return sendRendered(definition.examples, type, response.schema)
+            }
+            const example = deserializeExample(
+              exception.nest('Unable to deserialize example'),
+              response.examples[type],
+              response.schema,
+              next
+            )
+            return res.send(example)
+          }
+        }
+      }
+
+      // use schema example if set
+      if (response.schema && response.schema.hasOwnProperty('example')) {
+        res.status(mock.statusCode)
+        if (helpers.render) return sendRendered(response.schema, 'example', response.schema)
+        return res.send(copy(response.schema.example))
+      }
+
+      if (mock.source) {
+        exception.message('Cannot mock from example')
+        return unableToMock(exception, next)
+      }
+    }
+
+    if (!mock.source || mock.source === 'random') {
+      const schema = response.schema
+      if (schema) {
+        const [value, err, warning] = helpers.seeded(() => schema.random())
+        if (err) {
+          exception.push(err)
+          return unableToMock(exception, next)
+        }
+
+        if (warning) {
+          exception.push(warning)
+          return unableToMock(exception, next)
+        }
+
+        setMockHeader(res, mock, 'random')
+        res.status(mock.statusCode)
+        return res.send(value)
+      } else {
+        exception.message('No schema associated with response')
+        return unableToMock(exception, next)
+      }
+    }
+
+  // version 3
+  } else if (version === 3) {
+    const [ types, err ] = operation.getResponseContentTypeMatches(mock.statusCode, req.headers.accept || '*/*')
+
+    // if no content type matches then no possible mocked response
+    if (err) {
+      exception.push(err)
+      return unableToMock(exception, next)
+    }
+    const type = types[0]
+    const content = response.content[type]
+
+    if (!mock.source || mock.source === 'example') {
+      // named example requested
+      if (mock.name) {
+        if (content.examples && content.examples.hasOwnProperty(mock.name) && content.examples[mock.name].hasOwnProperty('value')) {
+          res.status(mock.statusCode)
+          if (helpers.render) return sendRendered(content.examples[mock.name], 'value', content.schema)
+          const example = deserializeExample(
+            exception.nest('Unable to deserialize example: ' + mock.name),
+            content.examples[mock.name].value,
+            content.schema,
+            next
+          )
+          return res.send(example)
+        } else {
+          exception.message('There is no example value with the name specified: ' + mock.name)
+          return unableToMock(exception, next)
+        }
+      }
+
+      // select from a named example
+      const exampleNames = content.examples
+        ? Object.keys(content.examples).filter(name => content.examples[name].hasOwnProperty('value'))
+        : []
+      if (content.examples && exampleNames.length > 0) {
+        const index = helpers.seeded(() => Math.floor(Math.random() * exampleNames.length))
+        setMockHeader(res, mock, 'example')
+        res.status(mock.statusCode)
+        if (helpers.render) return sendRendered(content.examples[exampleNames[index]], 'value', content.schema)
+        const example = deserializeExample(
+          exception.nest('Unable to deserialize example: ' + exampleNames[index]),
+          content.examples[exampleNames[index]].value,
+          content.schema,
+          next
+        )
+        return res.send(example)
+      }
+
+      // select the example
+      if (content.hasOwnProperty('example')) {
+        res.status(mock.statusCode)
+        if (helpers.render) return sendRendered(content, 'example', content.schema)
+        return res.send(copy(content.example))
+      }
+
+      // select schema example
+      if (content.schema && content.schema.hasOwnProperty('example')) {
+        res.status(mock.statusCode)
+        if (helpers.render) return sendRendered(content.schema, 'example', content.schema)
+        return res.send(copy(content.schema.example))
+      }
+
+      // unable to mock with requested source
+      if (mock.source) {
+        exception.message('A mock example is not defined')
+        return unableToMock(exception, next)
+      }
+    }
+
+    if (!mock.source || mock.source === 'random') {
+      const schema = response.content[type].schema
+      if (schema) {
+        const [ value, err, warning ] = helpers.seeded(() => schema.random())
+        if (err) {
+          exception.push(err)
+          return unableToMock(exception, next)
+        }
+
+        if (warning) {
+          exception.push(warning)
+          return unableToMock(exception, next)
+        }
+
+        res.set('Content-Type', type)
+        setMockHeader(res, mock, 'random')
+        if (mock.statusCode !== 'default') res.status(+mock.statusCode)
+        return res.send(value)
+      } else {
+        exception.message('No schema associated with response')
+        return unableToMock(exception, next)
+      }
+    }
+  }
+}
+
+// identify the source of a seeded mock, keeping the marker of an injected error
+function setMockHeader (res, mock, source) {
+  res.set(ENFORCER_HEADER, 'mock:' + (mock.fault === 'error' ? 'error,' : '') + source + ';seed=' + mock.seed)
+}
+
 function parseMockValue (origin, responseCodes, value) {
-  value = value.trim()
+  const [ spec, ...directives ] = value.split(';')
+  value = spec.trim()
   const result = {
     origin,
     source: '',
     specified: value !== '',
     statusCode: responseCodes[0] || ''
   }
+
+  // fault directives follow the mock specification, for example "500,random;delay=100-500"
+  if (directives.length) {
+    const settings = {}
+    directives.forEach(directive => {
+      const index = directive.indexOf('=')
+      if (index === -1) {
+        settings[directive.trim()] = ''
+      } else {
+        settings[directive.substr(0, index).trim()] = directive.substr(index + 1).trim()
+      }
+    })
+    if (settings.hasOwnProperty('seed')) {
+      if (!seededRandom.isSeed(settings.seed)) result.error = 'Mock seed must be 1 to 64 letters, numbers, dots, dashes, or underscores. Received: ' + settings.seed
+      result.seed = settings.seed
+      delete settings.seed
+    }
+    const [ faults, error ] = getMockFaults(settings)
+    if (error) {
+      result.error = result.error || error
+    } else {
+      result.faults = faults
+    }
+  }
+
   if (value.length) {
     const ar = value.split(',')
     if (ar.length > 0) result.statusCode = ar[0]
@@ -717,6 +1897,106 @@ function parseMockValue (origin, responseCodes, value) {
   return result
 }
 
+// read a multipart body or a body that has a registered parser, resolving undefined otherwise
+function readBody (operation, req, options) {
+  if (!operation) return Promise.resolve()
+  return multipart.read(operation, req, options.multipartLimit)
+    .then(result => {
+      if (result) return result
+
+      const contentType = req.headers['content-type']
+      const parser = contentType && options.parsers.get(contentType)
+      const type = media.getMediaType(contentType)
+      const found = parser && getRequestSchema(operation, type)
+      if (!found) return
+
+      // bodies may have been read already as text or as a buffer, or may still need to be read
+      let promise
+      if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+        promise = Promise.resolve(req.body)
+      } else if (req.readable && !req._body && (req.headers['transfer-encoding'] !== undefined || +req.headers['content-length'] > 0)) {
+        promise = readStream(req, options.bodyLimit)
+      } else {
+        return
+      }
+
+      return promise.then(raw => {
+        const exception = new Enforcer.Exception('Request has one or more errors')
+        if (raw === undefined) {
+          exception.nest('In body').message('Request body exceeds the limit of ' + options.bodyLimit + ' bytes')
+          exception.statusCode = 413
+          return { body: undefined, exception }
+        }
+        try {
+          return { body: parser(raw.toString(), { contentType, operation, schema: found.schema }), exception: null }
+        } catch (err) {
+          exception.nest('In body').message('Unable to parse ' + type + ': ' + err.message)
+          exception.statusCode = 400
+          return { body: undefined, exception }
+        }
+      })
+    })
+}
+
+function replayRecordedResponse (res, next, operation, entry, exception) {
+  const headers = entry.headers || {}
+  Object.keys(headers).forEach(key => res.set(key, headers[key]))
+  res.status(+entry.statusCode)
+  if (!entry.hasOwnProperty('body')) return res.send()
+  if (entry.bodyEncoding === 'base64') return res.send(Buffer.from(entry.body, 'base64'))
+
+  // recorded bodies are serialized so they must be deserialized before being sent
+  const type = headers['content-type'] ? String(headers['content-type']).split(';')[0].trim() : ''
+  const schema = getResponseSchema(operation, entry.statusCode, type)
+  if (!schema) return res.send(entry.body)
+  const [ value, error ] = schema.deserialize(copy(entry.body))
+  if (error) {
+    exception.nest('Unable to deserialize recorded response').push(error)
+    return unableToMock(exception, next)
+  }
+  res.send(value)
+}
+
+function reportInvalidResponse (exception, req) {
+  console.warn('Invalid response for ' + req.method + ' ' + req.originalUrl + '\n' + exception.toString())
+}
+
+// send a copy of the published document that has been rewritten for the request
+function sendDocument (openapi, req, res, format, options) {
+  if (!publishedDocuments.has(openapi)) publishedDocuments.set(openapi, options.loadDocument())
+  return publishedDocuments.get(openapi)
+    .then(published => {
+      const copy = document.rewriteServers(document.copy(published), req)
+      return Promise.resolve(options.documentFilter ? options.documentFilter(copy, req) : copy)
+        .then(filtered => filtered === undefined ? copy : filtered)
+    })
+    .then(filtered => {
+      let serialized
+      try {
+        serialized = document.serialize(filtered, format)
+      } catch (err) {
+        throw Error('Unable to serialize the OpenAPI document as ' + format + ': ' + err.message)
+      }
+      debug.request('sending the OpenAPI document as ' + format)
+      res.set('content-type', serialized.contentType)
+      res.send(serialized.body)
+    })
+}
+
+function toBuffer (chunk, encoding) {
+  return Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), encoding)
+}
+
+// convert numeric strings to numbers, leaving anything else as NaN
+function toNumber (value) {
+  if (typeof value === 'number') return value
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN
+}
+
+function wait (milliseconds) {
+  return milliseconds ? new Promise(resolve => setTimeout(resolve, milliseconds)) : Promise.resolve()
+}
+
 function unableToMock (exception, next) {
   debug.controllers('unable to generate automatic mock')
   // exception.message('Unable to generate mock response')
@@ -0,0 +1,68 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const { createRequest, createResponse } = require('./http')
+
+const METHODS = ['DELETE', 'GET', 'OPTIONS', 'PATCH', 'POST', 'PUT']
+
+module.exports = fastifyAdapter
+
+/**
+ * Run an express style enforcer middleware as a fastify plugin. The plugin adds a catch all
+ * route, so routes that are registered directly with fastify take precedence. Requests that are
+ * not handled get fastify's not found response and errors go to fastify's error handler.
+ * @param {function} middleware The enforcer middleware.
+ * @returns {function}
+ */
+function fastifyAdapter (middleware) {
+  function plugin (fastify, options, done) {
+    // leave bodies that fastify cannot parse unread so that the enforcer can read them, the plugin
+    // is encapsulated so this parser only applies to the catch all route
+    fastify.addContentTypeParser('*', (request, payload, done) => done(null))
+
+    fastify.route({
+      method: METHODS,
+      url: '*',
+      handler (request, reply) {
+        return new Promise((resolve, reject) => {
+          const properties = {}
+          if (request.body !== undefined && request.body !== null) {
+            properties.body = request.body
+            properties._body = true
+          }
+          const req = createRequest(request.raw, properties)
+          const res = createResponse(reply.raw, {
+            onEnd: () => resolve(),
+            onSend: () => reply.hijack()
+          })
+          req.res = res
+          res.req = req
+
+          middleware(req, res, err => {
+            if (err) return reject(err)
+            reply.callNotFound()
+            resolve()
+          })
+        })
+      }
+    })
+
+    done()
+  }
+
+  return plugin
+}
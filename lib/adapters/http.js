@@ -0,0 +1,191 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const http = require('http')
+const querystring = require('querystring')
+
+// The enforcer core and its controllers use the express request and response interface. These
+// functions provide that interface over node's request and response objects for other frameworks.
+module.exports = {
+  createRequest,
+  createResponse
+}
+
+/**
+ * Create an express compatible request object over a node request.
+ * @param {IncomingMessage} raw
+ * @param {object} [properties] Properties that override the defaults, for example a body that
+ *  was already parsed by the framework.
+ * @returns {object}
+ */
+function createRequest (raw, properties) {
+  const url = raw.url || '/'
+  const index = url.indexOf('?')
+  const req = {
+    baseUrl: '',
+    cookies: {},
+    headers: raw.headers,
+    method: raw.method,
+    originalUrl: url,
+    params: {},
+    path: index === -1 ? url : url.substr(0, index),
+    query: index === -1 ? {} : Object.assign({}, querystring.parse(url.substr(index + 1))),
+    raw,
+    socket: raw.socket,
+    url,
+    get (name) {
+      const key = String(name).toLowerCase()
+      return key === 'referrer' || key === 'referer'
+        ? raw.headers.referrer || raw.headers.referer
+        : raw.headers[key]
+    },
+    on (event, listener) {
+      raw.on(event, listener)
+      return req
+    },
+    removeListener (event, listener) {
+      raw.removeListener(event, listener)
+      return req
+    },
+    resume () {
+      raw.resume()
+      return req
+    }
+  }
+  req.header = req.get
+  Object.defineProperty(req, 'readable', { enumerable: true, get: () => raw.readable })
+  return Object.assign(req, properties)
+}
+
+/**
+ * Create an express compatible response object over a node response. The status code is only
+ * applied to the node response once the response is sent.
+ * @param {ServerResponse} raw
+ * @param {object} [hooks]
+ * @param {function} [hooks.onEnd] Called after the response has ended.
+ * @param {function} [hooks.onSend] Called before anything is written to the node response.
+ * @returns {object}
+ */
+function createResponse (raw, hooks) {
+  const onEnd = (hooks && hooks.onEnd) || noop
+  const onSend = (hooks && hooks.onSend) || noop
+  let started = false
+
+  function start () {
+    if (started) return
+    started = true
+    onSend()
+    raw.statusCode = res.statusCode
+  }
+
+  function send (body) {
+    let chunk = body
+    if (chunk === undefined || chunk === null) {
+      chunk = ''
+    } else if (typeof chunk === 'object' && !Buffer.isBuffer(chunk)) {
+      return json(chunk)
+    } else if (typeof chunk === 'boolean' || typeof chunk === 'number') {
+      return json(chunk)
+    }
+
+    if (typeof chunk === 'string') {
+      if (!raw.hasHeader('content-type')) raw.setHeader('content-type', 'text/html; charset=utf-8')
+      chunk = Buffer.from(chunk)
+    } else if (!raw.hasHeader('content-type')) {
+      raw.setHeader('content-type', 'application/octet-stream')
+    }
+
+    // responses without content must not have a body
+    if (res.statusCode === 204 || res.statusCode === 304) {
+      raw.removeHeader('content-type')
+      raw.removeHeader('content-length')
+      chunk = ''
+    } else {
+      raw.setHeader('content-length', chunk.length)
+    }
+    start()
+    raw.end(raw.req && raw.req.method === 'HEAD' ? undefined : chunk)
+    onEnd()
+    return res
+  }
+
+  function json (body) {
+    if (!raw.hasHeader('content-type')) raw.setHeader('content-type', 'application/json; charset=utf-8')
+    return send(body === undefined ? '' : JSON.stringify(body))
+  }
+
+  const res = {
+    locals: {},
+    raw,
+    statusCode: 200,
+    end (chunk, encoding, callback) {
+      start()
+      raw.end(chunk, encoding, callback)
+      onEnd()
+      return res
+    },
+    get (name) {
+      return raw.getHeader(name)
+    },
+    getHeader (name) {
+      return raw.getHeader(name)
+    },
+    getHeaders () {
+      return raw.getHeaders()
+    },
+    json,
+    on (event, listener) {
+      raw.on(event, listener)
+      return res
+    },
+    once (event, listener) {
+      raw.once(event, listener)
+      return res
+    },
+    removeHeader (name) {
+      raw.removeHeader(name)
+      return res
+    },
+    send,
+    sendStatus (code) {
+      res.statusCode = code
+      raw.setHeader('content-type', 'text/plain; charset=utf-8')
+      return send(http.STATUS_CODES[code] || String(code))
+    },
+    set (field, value) {
+      if (field && typeof field === 'object') {
+        Object.keys(field).forEach(key => res.set(key, field[key]))
+      } else {
+        raw.setHeader(field, Array.isArray(value) ? value.map(String) : String(value))
+      }
+      return res
+    },
+    status (code) {
+      res.statusCode = code
+      return res
+    },
+    write (chunk, encoding, callback) {
+      start()
+      return raw.write(chunk, encoding, callback)
+    }
+  }
+  res.header = res.set
+  Object.defineProperty(res, 'headersSent', { enumerable: true, get: () => raw.headersSent })
+  return res
+}
+
+function noop () {}
@@ -0,0 +1,142 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const EventEmitter = require('events')
+const querystring = require('querystring')
+const { createRequest, createResponse } = require('./http')
+
+module.exports = invokeAdapter
+
+/**
+ * Run an express style enforcer middleware for a request that is held in memory. No server or
+ * socket is used. Requests that are not handled resolve with a 404 status code and errors that
+ * are passed to next reject the promise.
+ * @param {function} middleware The enforcer middleware.
+ * @param {object} request
+ * @param {string} [request.method='GET']
+ * @param {string} request.path The path, which may include a query string.
+ * @param {object} [request.headers]
+ * @param {object} [request.query]
+ * @param {*} [request.body] An object for an already parsed body, or a string or buffer.
+ * @returns {Promise<{ statusCode: number, headers: object, body: Buffer|undefined }>}
+ */
+function invokeAdapter (middleware, request) {
+  return new Promise((resolve, reject) => {
+    const headers = {}
+    Object.keys(request.headers || {}).forEach(key => { headers[key.toLowerCase()] = String(request.headers[key]) })
+
+    let url = request.path
+    const query = querystring.stringify(request.query || {})
+    if (query) url += (url.indexOf('?') === -1 ? '?' : '&') + query
+
+    // an object body is treated as if a body parser has already parsed it
+    const properties = { originalUrl: url }
+    const body = request.body
+    if (body !== undefined) {
+      const isRaw = typeof body === 'string' || Buffer.isBuffer(body)
+      if (!headers['content-type']) headers['content-type'] = isRaw ? 'text/plain' : 'application/json'
+      headers['content-length'] = String(Buffer.byteLength(isRaw ? body : JSON.stringify(body)))
+      properties.body = isRaw && /^application\/(?:[\w.-]+\+)?json\b/.test(headers['content-type'])
+        ? JSON.parse(String(body))
+        : body
+      properties._body = true
+    }
+
+    const socket = {
+      destroy () {
+        const err = Error('The connection was closed before the response was sent')
+        err.code = 'ECONNRESET'
+        reject(err)
+      }
+    }
+    const rawReq = Object.assign(new EventEmitter(), {
+      headers,
+      method: (request.method || 'GET').toUpperCase(),
+      readable: false,
+      resume () {},
+      socket,
+      url
+    })
+    const rawRes = createRawResponse(rawReq)
+    rawRes.once('finish', () => {
+      resolve({
+        statusCode: rawRes.statusCode,
+        headers: rawRes.getHeaders(),
+        body: rawRes.chunks.length ? Buffer.concat(rawRes.chunks) : undefined
+      })
+    })
+
+    const req = createRequest(rawReq, properties)
+    const res = createResponse(rawRes)
+    req.res = res
+    res.req = req
+
+    middleware(req, res, err => {
+      if (err) return reject(err)
+      resolve({ statusCode: 404, headers: {}, body: undefined })
+    })
+  })
+}
+
+// a node response that collects what is written to it
+function createRawResponse (req) {
+  const headers = {}
+  const raw = Object.assign(new EventEmitter(), {
+    chunks: [],
+    finished: false,
+    headersSent: false,
+    req,
+    statusCode: 200,
+    end (chunk, encoding, callback) {
+      if (typeof chunk === 'function') [ chunk, callback ] = [ undefined, chunk ]
+      if (typeof encoding === 'function') [ encoding, callback ] = [ undefined, encoding ]
+      if (raw.finished) return raw
+      if (chunk !== undefined && chunk !== null && chunk !== '') raw.write(chunk, encoding)
+      raw.headersSent = true
+      raw.finished = true
+      process.nextTick(() => {
+        raw.emit('finish')
+        if (callback) callback()
+      })
+      return raw
+    },
+    getHeader (name) {
+      return headers[name.toLowerCase()]
+    },
+    getHeaders () {
+      return Object.assign({}, headers)
+    },
+    hasHeader (name) {
+      return headers.hasOwnProperty(name.toLowerCase())
+    },
+    removeHeader (name) {
+      delete headers[name.toLowerCase()]
+    },
+    setHeader (name, value) {
+      headers[name.toLowerCase()] = value
+      return raw
+    },
+    write (chunk, encoding, callback) {
+      if (typeof encoding === 'function') [ encoding, callback ] = [ undefined, encoding ]
+      raw.headersSent = true
+      raw.chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding))
+      if (callback) process.nextTick(callback)
+      return true
+    }
+  })
+  return raw
+}
@@ -0,0 +1,52 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const { createRequest, createResponse } = require('./http')
+
+module.exports = koaAdapter
+
+/**
+ * Run an express style enforcer middleware as koa middleware. Requests that are not handled
+ * continue to the next koa middleware and errors are thrown to koa's error handling.
+ * @param {function} middleware The enforcer middleware.
+ * @returns {function}
+ */
+function koaAdapter (middleware) {
+  return (ctx, next) => new Promise((resolve, reject) => {
+    const properties = { originalUrl: ctx.url }
+    if (ctx.request.body !== undefined) {
+      properties.body = ctx.request.body
+      properties._body = true
+    }
+    const req = createRequest(ctx.req, properties)
+    const res = createResponse(ctx.res, {
+      onEnd: () => resolve(),
+      onSend: () => { ctx.respond = false }
+    })
+    req.res = res
+    res.req = req
+
+    middleware(req, res, err => {
+      if (err) {
+        // client errors are safe for koa to expose in the response
+        if (err.statusCode < 500 && err.expose === undefined) err.expose = true
+        return reject(err)
+      }
+      Promise.resolve(next()).then(resolve, reject)
+    })
+  })
+}
@@ -0,0 +1,84 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const yaml = require('js-yaml')
+
+module.exports = {
+  copy,
+  getFormat,
+  rewriteServers,
+  serialize
+}
+
+/**
+ * Deep copy a document, keeping the circular references of dereferenced documents.
+ * @param {*} value
+ * @param {Map} [copies]
+ * @returns {*}
+ */
+function copy (value, copies = new Map()) {
+  if (!value || typeof value !== 'object') return value
+  if (copies.has(value)) return copies.get(value)
+  const result = Array.isArray(value) ? [] : {}
+  copies.set(value, result)
+  Object.keys(value).forEach(key => {
+    result[key] = copy(value[key], copies)
+  })
+  return result
+}
+
+/**
+ * Get the format to publish the document in for a request path.
+ * @param {string} path
+ * @returns {string} Either "json" or "yaml".
+ */
+function getFormat (path) {
+  return /\.ya?ml$/i.test(path) ? 'yaml' : 'json'
+}
+
+/**
+ * Replace the servers (OpenAPI 3) or the host, basePath, and schemes (OpenAPI 2) of a document
+ * with the host of the request and the path where the middleware is mounted.
+ * @param {object} document
+ * @param {object} req
+ * @returns {object} The document.
+ */
+function rewriteServers (document, req) {
+  const protocol = req.protocol || (req.socket && req.socket.encrypted ? 'https' : 'http')
+  const host = req.headers.host
+  const basePath = req.baseUrl || ''
+  if (document.swagger) {
+    if (host) document.host = host
+    document.basePath = basePath || '/'
+    document.schemes = [ protocol ]
+  } else {
+    document.servers = [ { url: ((host ? protocol + '://' + host : '') + basePath) || '/' } ]
+  }
+  return document
+}
+
+/**
+ * Serialize a document as JSON or YAML.
+ * @param {object} document
+ * @param {string} format Either "json" or "yaml".
+ * @returns {{ contentType: string, body: string }}
+ */
+function serialize (document, format) {
+  return format === 'yaml'
+    ? { contentType: 'application/yaml; charset=utf-8', body: yaml.safeDump(document) }
+    : { contentType: 'application/json; charset=utf-8', body: JSON.stringify(document) }
+}
@@ -0,0 +1,125 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+
+const additionalPropertiesAllowed = new WeakSet()
+
+module.exports = {
+  allowAdditionalProperties,
+  request,
+  response
+}
+
+/**
+ * Remember the schemas whose definition explicitly sets additionalProperties to true. The built
+ * schemas can't tell that from the default, which is also true, so the dereferenced definition is
+ * walked alongside the built document.
+ * @param {object} definition The dereferenced definition.
+ * @param {object} openapi The built document.
+ */
+function allowAdditionalProperties (definition, openapi) {
+  const visited = new Set()
+  const walk = (source, target) => {
+    if (!source || typeof source !== 'object' || !target || typeof target !== 'object' || visited.has(source)) return
+    visited.add(source)
+    if (source.additionalProperties === true) additionalPropertiesAllowed.add(target)
+    Object.keys(source).forEach(key => walk(source[key], target[key]))
+  }
+  walk(definition, openapi)
+}
+
+/**
+ * Remove the readOnly properties from a request body.
+ * @param {*} value The request body.
+ * @param {object} schema The request body schema.
+ * @returns {[*, string[]]} A filtered copy of the body and the JSON pointers of the removed properties.
+ */
+function request (value, schema) {
+  const stripped = []
+  const result = strip(value, schema ? [ schema ] : [], { readOnly: true }, '', stripped)
+  return [ result, stripped ]
+}
+
+/**
+ * Remove the writeOnly properties and the properties that the schema does not document from a
+ * response body. A property is documented if it is listed in the schema's properties or if the
+ * schema's additionalProperties is a schema or was set to true. Objects whose schema lists no
+ * properties allow any property unless additionalProperties is false.
+ * @param {*} value The response body.
+ * @param {object} schema The response body schema.
+ * @returns {[*, string[]]} A filtered copy of the body and the JSON pointers of the removed properties.
+ */
+function response (value, schema) {
+  const stripped = []
+  const result = strip(value, schema ? [ schema ] : [], { undocumented: true, writeOnly: true }, '', stripped)
+  return [ result, stripped ]
+}
+
+// get the additionalProperties schema, true if any property is allowed, or false if only the listed properties are
+function getAdditionalProperties (schema) {
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') return schema.additionalProperties
+  if (schema.properties || schema.allOf || schema.anyOf || schema.oneOf) return additionalPropertiesAllowed.has(schema)
+  return schema.additionalProperties !== false
+}
+
+// a property may be described by several schemas when schemas are composed
+function flatten (schemas) {
+  const result = []
+  schemas.forEach(schema => {
+    if (!schema || result.indexOf(schema) !== -1) return
+    result.push(schema)
+    ;['allOf', 'anyOf', 'oneOf'].forEach(key => {
+      if (Array.isArray(schema[key])) flatten(schema[key]).forEach(item => result.push(item))
+    })
+  })
+  return result
+}
+
+function strip (value, schemas, options, pointer, stripped) {
+  if (!value || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) return value
+  schemas = flatten(schemas)
+  if (!schemas.length) return value
+
+  if (Array.isArray(value)) {
+    const items = schemas.filter(schema => schema.items).map(schema => schema.items)
+    return value.map((item, index) => strip(item, items, options, pointer + '/' + index, stripped))
+  }
+
+  const result = {}
+  Object.keys(value).forEach(key => {
+    const location = pointer + '/' + key.replace(/~/g, '~0').replace(/\//g, '~1')
+    const properties = schemas
+      .filter(schema => schema.properties && schema.properties[key])
+      .map(schema => schema.properties[key])
+    if (properties.length) {
+      if ((options.readOnly && properties.every(property => property.readOnly)) ||
+        (options.writeOnly && properties.every(property => property.writeOnly))) {
+        stripped.push(location)
+      } else {
+        result[key] = strip(value[key], properties, options, location, stripped)
+      }
+    } else {
+      const additional = schemas.map(getAdditionalProperties)
+      if (options.undocumented && !additional.some(item => item)) {
+        stripped.push(location)
+      } else {
+        result[key] = strip(value[key], additional.filter(item => typeof item === 'object'), options, location, stripped)
+      }
+    }
+  })
+  return result
+}
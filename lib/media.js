@@ -0,0 +1,183 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const xml = require('./xml')
+
+module.exports = {
+  createParsers,
+  createSerializers,
+  getMediaType
+}
+
+/**
+ * Create a registry of request body parsers with the built in parsers for XML, CSV, NDJSON,
+ * and plain text. Parsers are called with the body text and the media type's schema.
+ * @returns {{ get: function, set: function }}
+ */
+function createParsers () {
+  const registry = createRegistry()
+  registry.set('application/xml', (text, { schema }) => xml.parse(text, schema))
+  registry.set('text/xml', (text, { schema }) => xml.parse(text, schema))
+  registry.set('text/csv', (text, { schema }) => parseCsv(text, schema))
+  registry.set('application/x-ndjson', text => parseNdjson(text))
+  registry.set('application/ndjson', text => parseNdjson(text))
+  registry.set('text/plain', text => text)
+  return registry
+}
+
+/**
+ * Create a registry of response body serializers with the built in serializers for XML, CSV,
+ * NDJSON, and plain text. Serializers are called with the validated and serialized body and
+ * the response schema.
+ * @returns {{ get: function, set: function }}
+ */
+function createSerializers () {
+  const registry = createRegistry()
+  registry.set('application/xml', (body, { schema }) => xml.serialize(body, schema))
+  registry.set('text/xml', (body, { schema }) => xml.serialize(body, schema))
+  registry.set('text/csv', (body, { schema }) => serializeCsv(body, schema))
+  registry.set('application/x-ndjson', body => serializeNdjson(body))
+  registry.set('application/ndjson', body => serializeNdjson(body))
+  registry.set('text/plain', body => body !== null && typeof body === 'object' ? JSON.stringify(body) : String(body))
+  return registry
+}
+
+/**
+ * Get the lower case media type from a content type header value, without parameters.
+ * @param {string} contentType
+ * @returns {string}
+ */
+function getMediaType (contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase()
+}
+
+// media types are matched exactly, then by structured syntax suffix, then by type wildcard
+function createRegistry () {
+  const map = new Map()
+  return {
+    get (contentType) {
+      const mediaType = getMediaType(contentType)
+      if (map.has(mediaType)) return map.get(mediaType)
+      const [ type, subtype ] = mediaType.split('/')
+      const suffix = subtype && subtype.indexOf('+') !== -1 ? subtype.substr(subtype.lastIndexOf('+') + 1) : ''
+      if (suffix && map.has('application/' + suffix)) return map.get('application/' + suffix)
+      if (map.has(type + '/*')) return map.get(type + '/*')
+      if (map.has('*/*')) return map.get('*/*')
+    },
+    set (mediaType, fn) {
+      map.set(getMediaType(mediaType), fn)
+    }
+  }
+}
+
+function coerce (text, schema) {
+  const type = schema && schema.type
+  if ((type === 'integer' || type === 'number') && text.trim().length && !isNaN(text)) return +text
+  if (type === 'boolean' && (text === 'true' || text === 'false')) return text === 'true'
+  return text
+}
+
+function csvCell (value) {
+  if (value === undefined || value === null) return ''
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text
+}
+
+function csvRows (text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+  const length = text.length
+  for (let i = 0; i < length; i++) {
+    const ch = text[i]
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (ch === '"') {
+        quoted = false
+      } else {
+        cell += ch
+      }
+    } else if (ch === '"') {
+      quoted = true
+    } else if (ch === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += ch
+    }
+  }
+  if (cell.length || row.length) {
+    row.push(cell)
+    rows.push(row)
+  }
+  return rows
+}
+
+// the first row is the header, each following row becomes an object
+function parseCsv (text, schema) {
+  const rows = csvRows(String(text))
+  const header = rows.shift() || []
+  const items = (schema && schema.type === 'array' ? schema.items : schema) || {}
+  const properties = items.properties || {}
+  const result = rows.map(row => {
+    const item = {}
+    header.forEach((name, index) => {
+      if (row[index] !== undefined && row[index] !== '') item[name] = coerce(row[index], properties[name])
+    })
+    return item
+  })
+  return schema && schema.type === 'object' ? result[0] : result
+}
+
+function parseNdjson (text) {
+  return String(text).split(/\r?\n/)
+    .filter(line => line.trim().length)
+    .map(line => JSON.parse(line))
+}
+
+// columns come from the item schema's properties followed by any other item properties
+function serializeCsv (body, schema) {
+  const rows = Array.isArray(body) ? body : [ body ]
+  const items = (schema && schema.type === 'array' ? schema.items : schema) || {}
+  const columns = Object.keys(items.properties || {})
+  rows.forEach(row => {
+    if (row && typeof row === 'object') {
+      Object.keys(row).forEach(key => {
+        if (columns.indexOf(key) === -1) columns.push(key)
+      })
+    }
+  })
+  if (!columns.length) return rows.map(row => csvCell(row) + '\r\n').join('')
+  return [ columns ]
+    .concat(rows.map(row => columns.map(column => row && row[column])))
+    .map(row => row.map(csvCell).join(',') + '\r\n')
+    .join('')
+}
+
+function serializeNdjson (body) {
+  const items = Array.isArray(body) ? body : [ body ]
+  return items.map(item => JSON.stringify(item) + '\n').join('')
+}
@@ -0,0 +1,189 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const crypto = require('crypto')
+const { getOperationPath } = require('./util')
+
+module.exports = createMockStore
+
+/**
+ * Create an in-memory store that mocks CRUD style operations. Collections are inferred
+ * from path templates, for example "/todos" is the collection and "/todos/{id}" is an item
+ * within the collection.
+ * @returns {{ clear: function, handle: function }}
+ */
+function createMockStore () {
+  const collections = {}
+  const routes = new WeakMap()
+
+  return {
+    clear () {
+      Object.keys(collections).forEach(key => delete collections[key])
+    },
+
+    /**
+     * Handle a mocked request.
+     * @param {object} openapi
+     * @param {object} operation
+     * @param {object} req
+     * @returns {{ found: boolean, statusCode?: string, body?: * }|undefined} Undefined if the
+     *  operation cannot be handled by the store.
+     */
+    handle (openapi, operation, req) {
+      if (!routes.has(operation)) routes.set(operation, getRoute(openapi, operation))
+      const route = routes.get(operation)
+      if (!route) return
+
+      const key = route.collection.replace(/{([^}]+)}/g, (match, name) => String(req.params[name]))
+      if (!collections[key]) collections[key] = new Map()
+      const items = collections[key]
+      const id = route.isItem ? String(req.params[route.idName]) : undefined
+      const success = { found: true, statusCode: route.statusCode }
+
+      if (!route.isItem && route.method === 'get') {
+        if (route.schema && route.schema.type !== 'array') return
+        success.body = Array.from(items.values()).map(clone)
+      } else if (!route.isItem && route.method === 'post') {
+        if (!isObject(req.body)) return
+        const item = clone(req.body)
+        let itemId = item[route.idName]
+        if (itemId === undefined) {
+          const hasId = hasProperty(route.schema, route.idName)
+          itemId = generateId(hasId ? route.schema.properties[route.idName] : {}, items)
+          if (hasId) item[route.idName] = itemId
+        }
+        items.set(String(itemId), item)
+        success.body = clone(item)
+      } else if (route.isItem && route.method === 'get') {
+        if (!items.has(id)) return { found: false }
+        success.body = clone(items.get(id))
+      } else if (route.isItem && route.method === 'put') {
+        if (!isObject(req.body)) return
+        const item = clone(req.body)
+        if (hasProperty(route.schema, route.idName)) item[route.idName] = req.params[route.idName]
+        items.set(id, item)
+        success.body = clone(item)
+      } else if (route.isItem && route.method === 'patch') {
+        if (!isObject(req.body)) return
+        if (!items.has(id)) return { found: false }
+        const item = Object.assign(items.get(id), clone(req.body))
+        success.body = clone(item)
+      } else if (route.isItem && route.method === 'delete') {
+        if (!items.has(id)) return { found: false }
+        success.body = clone(items.get(id))
+        items.delete(id)
+      } else {
+        return
+      }
+
+      // only send a body if the response defines one
+      if (!route.hasBody) delete success.body
+      return success
+    }
+  }
+}
+
+function clone (value) {
+  if (Array.isArray(value)) {
+    return value.map(clone)
+  } else if (value instanceof Date) {
+    return new Date(+value)
+  } else if (Buffer.isBuffer(value)) {
+    return Buffer.from(value)
+  } else if (isObject(value)) {
+    const result = {}
+    Object.keys(value).forEach(key => {
+      result[key] = clone(value[key])
+    })
+    return result
+  } else {
+    return value
+  }
+}
+
+function generateId (schema, items) {
+  if (schema.type === 'integer' || schema.type === 'number') {
+    let max = 0
+    items.forEach((item, key) => {
+      if (+key > max) max = +key
+    })
+    return max + 1
+  } else {
+    const bytes = crypto.randomBytes(16)
+    bytes[6] = (bytes[6] & 0x0f) | 0x40
+    bytes[8] = (bytes[8] & 0x3f) | 0x80
+    const hex = bytes.toString('hex')
+    return [hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4), hex.substr(16, 4), hex.substr(20)].join('-')
+  }
+}
+
+function getRoute (openapi, operation) {
+  const operationPath = getOperationPath(openapi, operation)
+  if (!operationPath) return
+
+  const { method, pathKey } = operationPath
+  const segments = pathKey.split('/').filter(v => v.length)
+  const match = segments.length ? /^{([^}]+)}$/.exec(segments[segments.length - 1]) : null
+  const isItem = !!match
+  const collection = '/' + (isItem ? segments.slice(0, -1) : segments).join('/')
+
+  // the item path of a collection determines the id property name
+  let idName = isItem ? match[1] : 'id'
+  if (!isItem) {
+    const prefix = collection === '/' ? '/' : collection + '/'
+    Object.keys(openapi.paths).forEach(key => {
+      const match = key.indexOf(prefix) === 0 ? /^{([^}]+)}\/?$/.exec(key.substr(prefix.length)) : null
+      if (match) idName = match[1]
+    })
+  }
+
+  const statusCode = getSuccessCode(operation, method)
+  if (!statusCode) return
+
+  const response = operation.responses[statusCode]
+  return {
+    collection,
+    hasBody: !!(response.schema || response.content),
+    idName,
+    isItem,
+    method,
+    schema: getResponseSchema(response),
+    statusCode
+  }
+}
+
+function getResponseSchema (response) {
+  if (response.schema) return response.schema
+  if (response.content) {
+    const type = Object.keys(response.content).find(type => response.content[type].schema)
+    if (type) return response.content[type].schema
+  }
+}
+
+function getSuccessCode (operation, method) {
+  const codes = Object.keys(operation.responses).filter(code => /^2\d\d$/.test(code))
+  const preferred = method === 'post' ? '201' : method === 'delete' ? '204' : '200'
+  return codes.indexOf(preferred) !== -1 ? preferred : codes[0]
+}
+
+function hasProperty (schema, name) {
+  return !!(schema && schema.properties && schema.properties.hasOwnProperty(name))
+}
+
+function isObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
@@ -0,0 +1,247 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const Enforcer = require('openapi-enforcer')
+const stream = require('stream')
+const { getMediaType } = require('./media')
+const { readStream } = require('./util')
+
+const MULTIPART_TYPE = 'multipart/form-data'
+
+module.exports = {
+  read,
+  toStreams
+}
+
+/**
+ * Read and parse a multipart/form-data request body using the operation's requestBody. The
+ * body is only read if it has not already been consumed by another body parser.
+ * @param {object} operation The OpenAPI enforcer operation.
+ * @param {object} req The express request.
+ * @param {number} limit The maximum number of bytes for the entire body.
+ * @returns {Promise<{ body: object, exception: EnforcerException|null, files: object }|undefined>}
+ *  Undefined if the request does not have a multipart body that should be parsed.
+ */
+function read (operation, req, limit) {
+  const contentType = req.headers['content-type'] || ''
+  const media = operation && operation.requestBody && operation.requestBody.content &&
+    operation.requestBody.content[MULTIPART_TYPE]
+  if (!media || getMediaType(contentType) !== MULTIPART_TYPE || !req.readable || req._body) return Promise.resolve()
+
+  const boundary = getParameter(contentType, 'boundary')
+  if (!boundary) return Promise.resolve(failure(400, 'Missing multipart boundary'))
+
+  const contentLength = +req.headers['content-length']
+  if (contentLength > limit) {
+    req.resume()
+    return Promise.resolve(failure(413, 'Request body exceeds the limit of ' + limit + ' bytes'))
+  }
+
+  return readStream(req, limit)
+    .then(buffer => {
+      if (!buffer) return failure(413, 'Request body exceeds the limit of ' + limit + ' bytes')
+      const parts = parseParts(buffer, boundary)
+      if (!parts) return failure(400, 'Unable to parse multipart body')
+      return buildBody(media, parts)
+    })
+}
+
+/**
+ * Replace binary values in the deserialized body with readable streams.
+ * @param {object} body The deserialized request body.
+ * @param {object} files The file details, mapped by property name.
+ * @returns {object}
+ */
+function toStreams (body, files) {
+  const result = Object.assign({}, body)
+  Object.keys(files).forEach(name => {
+    if (!result.hasOwnProperty(name)) return
+    result[name] = Array.isArray(result[name])
+      ? result[name].map((value, index) => toStream(value, files[name][index]))
+      : toStream(result[name], files[name])
+  })
+  return result
+}
+
+function buildBody (media, parts) {
+  const schema = media.schema || {}
+  const properties = schema.properties || {}
+  const encoding = media.encoding || {}
+  const exception = new Enforcer.Exception('Request has one or more errors')
+  const child = exception.nest('In body')
+  const body = {}
+  const files = {}
+  let tooLarge = false
+
+  parts.forEach(part => {
+    const name = part.name
+    const propertySchema = properties[name]
+    const isArray = !!(propertySchema && propertySchema.type === 'array')
+    const itemSchema = isArray ? propertySchema.items : propertySchema
+    const isBinary = !!(itemSchema && itemSchema.type === 'string' && (itemSchema.format === 'binary' || itemSchema.format === 'byte'))
+    const isFile = isBinary || part.filename !== undefined
+    const partType = part.headers['content-type'] || (isFile ? 'application/octet-stream' : 'text/plain')
+
+    // enforce the content types that the encoding object allows for the part
+    const allowed = encoding[name] && encoding[name].contentType
+    if (allowed && !isMediaTypeAllowed(partType, allowed)) {
+      child.at(name).message('Content-Type not accepted: ' + getMediaType(partType) + '. Expected one of: ' + allowed)
+      return
+    }
+
+    // binary maxLength is measured in bits
+    if (isBinary && itemSchema.format === 'binary' && itemSchema.maxLength !== undefined && part.data.length * 8 > itemSchema.maxLength) {
+      child.at(name).message('File exceeds the limit of ' + (itemSchema.maxLength / 8) + ' bytes')
+      tooLarge = true
+      return
+    }
+
+    let value
+    if (isBinary && itemSchema.format === 'binary') {
+      value = part.data
+    } else if (isFile && !itemSchema) {
+      value = part.data
+    } else {
+      value = parseText(part.data.toString(), partType, itemSchema)
+    }
+
+    if (isFile) {
+      const file = {
+        contentType: partType,
+        filename: part.filename,
+        size: part.data.length
+      }
+      if (isArray) {
+        if (!files[name]) files[name] = []
+        files[name].push(file)
+      } else {
+        files[name] = file
+      }
+    }
+
+    if (isArray) {
+      if (!body[name]) body[name] = []
+      body[name].push(value)
+    } else {
+      body[name] = value
+    }
+  })
+
+  if (!exception.hasException) return { body, exception: null, files }
+  exception.statusCode = tooLarge ? 413 : 400
+  return { body, exception, files }
+}
+
+function failure (statusCode, message) {
+  const exception = new Enforcer.Exception('Request has one or more errors')
+  exception.nest('In body').message(message)
+  exception.statusCode = statusCode
+  return { body: {}, exception, files: {} }
+}
+
+function getParameter (header, name) {
+  const rx = new RegExp(';\\s*' + name + '\\*?=(?:"([^"]*)"|([^;\\s]*))', 'i')
+  const match = rx.exec(header)
+  if (!match) return
+  const value = match[1] !== undefined ? match[1] : match[2]
+
+  // extended values (RFC 5987) look like: UTF-8''file%20name.txt
+  const extended = /^([\w-]+)'[^']*'(.*)$/.exec(value)
+  if (extended && match[0].indexOf('*=') !== -1) {
+    try {
+      return decodeURIComponent(extended[2])
+    } catch (err) {
+      return extended[2]
+    }
+  }
+  return value
+}
+
+function isMediaTypeAllowed (contentType, allowed) {
+  const [ type, subtype ] = getMediaType(contentType).split('/')
+  return allowed.split(',').some(item => {
+    const [ allowedType, allowedSubtype ] = getMediaType(item).split('/')
+    return (allowedType === '*' || allowedType === type) &&
+      (allowedSubtype === '*' || allowedSubtype === subtype)
+  })
+}
+
+function parseHeaders (text) {
+  const headers = {}
+  text.split('\r\n').forEach(line => {
+    const index = line.indexOf(':')
+    if (index > 0) headers[line.substr(0, index).trim().toLowerCase()] = line.substr(index + 1).trim()
+  })
+  return headers
+}
+
+// split the body into parts, returning undefined if the body is malformed
+function parseParts (buffer, boundary) {
+  const delimiter = Buffer.from('--' + boundary)
+  const parts = []
+
+  let index = buffer.indexOf(delimiter)
+  if (index === -1) return
+  while (true) {
+    index += delimiter.length
+
+    // the closing delimiter is followed by two hyphens
+    if (buffer.slice(index, index + 2).toString() === '--') return parts
+
+    const headerStart = buffer.indexOf('\r\n', index)
+    if (headerStart === -1) return
+    const headerEnd = buffer.indexOf('\r\n\r\n', headerStart)
+    if (headerEnd === -1) return
+    const next = buffer.indexOf(Buffer.concat([ Buffer.from('\r\n'), delimiter ]), headerEnd)
+    if (next === -1) return
+
+    const headers = parseHeaders(buffer.slice(headerStart + 2, headerEnd).toString())
+    const disposition = headers['content-disposition'] || ''
+    const name = getParameter(disposition, 'name')
+    if (name === undefined) return
+    parts.push({
+      data: buffer.slice(headerEnd + 4, next),
+      filename: getParameter(disposition, 'filename'),
+      headers,
+      name
+    })
+    index = next + 2
+  }
+}
+
+function parseText (text, contentType, schema) {
+  const type = schema && schema.type
+  if (/^application\/(?:[\w.-]+\+)?json$/.test(getMediaType(contentType)) || type === 'object' || type === 'array') {
+    try {
+      return JSON.parse(text)
+    } catch (err) {
+      return text
+    }
+  } else if ((type === 'integer' || type === 'number') && text.trim().length && !isNaN(text)) {
+    return +text
+  } else if (type === 'boolean' && (text === 'true' || text === 'false')) {
+    return text === 'true'
+  }
+  return text
+}
+
+function toStream (value, file) {
+  if (!Buffer.isBuffer(value)) return value
+  const readable = new stream.PassThrough()
+  readable.end(value)
+  return Object.assign(readable, file)
+}
@@ -0,0 +1,120 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const Enforcer = require('openapi-enforcer')
+const { getMediaType } = require('./media')
+
+module.exports = {
+  negotiate
+}
+
+/**
+ * Get the media types that an operation accepts for its request body.
+ * @param {object} openapi
+ * @param {object} operation
+ * @returns {string[]|undefined} Undefined if the operation does not restrict the request media type.
+ */
+function getRequestTypes (openapi, operation) {
+  if (openapi.swagger) {
+    const parameters = operation.parameters || []
+    if (!parameters.some(parameter => parameter.in === 'body' || parameter.in === 'formData')) return
+    const types = operation.consumes || openapi.consumes || []
+    return types.length ? types : undefined
+  } else if (operation.requestBody) {
+    return Object.keys(operation.requestBody.content || {})
+  }
+}
+
+/**
+ * Get the media types that an operation's responses can be sent with.
+ * @param {object} openapi
+ * @param {object} operation
+ * @returns {string[]|undefined} Undefined if none of the responses have a body.
+ */
+function getResponseTypes (openapi, operation) {
+  const responses = operation.responses || {}
+  const codes = Object.keys(responses)
+  if (openapi.swagger) {
+    if (!codes.some(code => responses[code].schema)) return
+    const types = operation.produces || openapi.produces || []
+    return types.length ? types : undefined
+  }
+  const types = []
+  codes.forEach(code => {
+    Object.keys(responses[code].content || {}).forEach(type => {
+      if (types.indexOf(type) === -1) types.push(type)
+    })
+  })
+  return types.length ? types : undefined
+}
+
+/**
+ * Check that the request's content type is one that the operation accepts and that the request's
+ * Accept header allows at least one of the operation's response media types.
+ * @param {object} openapi
+ * @param {object} operation
+ * @param {object} req
+ * @returns {object|undefined} An exception with a 415 or 406 status code if negotiation failed.
+ */
+function negotiate (openapi, operation, req) {
+  const headers = req.headers
+  const hasBody = headers['transfer-encoding'] !== undefined || +headers['content-length'] > 0
+  const requestTypes = getRequestTypes(openapi, operation)
+  if (hasBody && requestTypes && headers['content-type']) {
+    const type = getMediaType(headers['content-type'])
+    if (!requestTypes.some(range => matches(range, type))) {
+      const exception = new Enforcer.Exception('Unsupported Media Type')
+      exception.message('Content-Type ' + type + ' is not supported. Supported types: ' + requestTypes.join(', '))
+      exception.statusCode = 415
+      return exception
+    }
+  }
+
+  const responseTypes = getResponseTypes(openapi, operation)
+  if (headers.accept && responseTypes) {
+    const ranges = parseAccept(headers.accept)
+    if (!responseTypes.some(type => ranges.some(range => matches(range, type) || matches(type, range)))) {
+      const exception = new Enforcer.Exception('Not Acceptable')
+      exception.message('None of the accepted media types are available: ' + headers.accept + '. Supported types: ' + responseTypes.join(', '))
+      exception.statusCode = 406
+      return exception
+    }
+  }
+}
+
+// determine if a media type is within a media range, for example "text/plain" is within "text/*"
+function matches (range, type) {
+  const [ rangeType, rangeSubtype ] = getMediaType(range).split('/')
+  const [ mainType, subtype ] = type.split('/')
+  if (rangeType === '*') return true
+  if (rangeType !== mainType) return false
+  return rangeSubtype === '*' || rangeSubtype === subtype
+}
+
+// get the media ranges from an Accept header, excluding those with a quality of zero
+function parseAccept (accept) {
+  return String(accept).split(',')
+    .map(item => {
+      const [ range, ...parameters ] = item.split(';')
+      const quality = parameters
+        .map(parameter => parameter.trim().split('='))
+        .find(([ key ]) => key === 'q')
+      return { range: getMediaType(range), quality: quality ? +quality[1] : 1 }
+    })
+    .filter(item => item.range && item.quality > 0)
+    .map(item => item.range)
+}
@@ -0,0 +1,175 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const http = require('http')
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json'
+
+// the first segment of a failure's path names its location, response headers are under "headers"
+const LOCATIONS = { body: 'body', cookie: 'cookie', header: 'header', headers: 'header', path: 'path', query: 'query' }
+const PARAMETER_LOCATIONS = ['cookie', 'header', 'path', 'query']
+
+// schema keywords by the validation messages that the openapi-enforcer produces for them
+const KEYWORDS = [
+  [ /^Missing required|^One or more required properties missing/, 'required' ],
+  [ /^Property not allowed|^Property is an additional property/, 'additionalProperties' ],
+  [ /^Cannot write to read only/, 'readOnly' ],
+  [ /^Cannot read from write only/, 'writeOnly' ],
+  [ /^Expected (?:a binary|a base64|a date|a valid date|a valid Date|a Buffer|value to be a buffer)|^Value is not a valid date/, 'format' ],
+  [ /^Expected an? (?:array|object|non-null object|boolean|integer|number|string)\b|^Expected "true" or "false"|^Unable to serialize to/, 'type' ],
+  [ /^Expected a multiple of/, 'multipleOf' ],
+  [ /^Expected .+ to be less than or equal to/, 'maximum' ],
+  [ /^Expected .+ to be less than/, 'exclusiveMaximum' ],
+  [ /^Expected .+ to be greater than or equal to/, 'minimum' ],
+  [ /^Expected .+ to be greater than/, 'exclusiveMinimum' ],
+  [ /^String too long/, 'maxLength' ],
+  [ /^String too short/, 'minLength' ],
+  [ /^String does not match required pattern/, 'pattern' ],
+  [ /did not meet enum requirements$/, 'enum' ],
+  [ /^Too many items/, 'maxItems' ],
+  [ /^Too few items/, 'minItems' ],
+  [ /^Array items must be unique/, 'uniqueItems' ],
+  [ /^Discriminator property/, 'discriminator' ],
+  [ /^Value should not validate against schema/, 'not' ],
+  [ /^Empty value not allowed/, 'allowEmptyValue' ]
+]
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  createProblem,
+  exceptionFailures,
+  getProblemContentType
+}
+
+/**
+ * Build an RFC 7807 problem details object from an error.
+ * @param {Error} err
+ * @param {object} options
+ * @param {boolean} options.exposeServerErrors
+ * @param {string} options.typePrefix
+ * @returns {{ type: string, title: string, status: number, detail?: string, failures?: object[] }}
+ */
+function createProblem (err, options) {
+  const status = getStatusCode(err)
+  const isServerError = status >= 500
+  const exception = err && err.exception
+  const problem = {
+    type: options.typePrefix ? options.typePrefix + status : 'about:blank',
+    title: http.STATUS_CODES[status] || 'Unknown Error',
+    status
+  }
+
+  if (!isServerError || options.exposeServerErrors) {
+    if (exception) {
+      problem.detail = exception.header || problem.title
+      problem.failures = err.failures || exceptionFailures(exception)
+    } else if (err && err.message) {
+      problem.detail = err.message
+    }
+  }
+
+  return problem
+}
+
+/**
+ * Flatten an Enforcer.Exception tree into a list of failures. Each failure has the location of
+ * the invalid value (path, query, header, cookie, or body), a JSON pointer to the value within
+ * the request or response, the parameter name for parameter failures, the schema keyword that
+ * failed if it can be determined, and the message produced for it.
+ * @param {EnforcerException} exception
+ * @returns {Array<{ location?: string, pointer: string, name?: string, keyword?: string, message: string }>}
+ */
+function exceptionFailures (exception) {
+  const failures = []
+  walk(exception, [])
+  return failures
+
+  function walk (exception, segments) {
+    if (!exception.hasException) return
+
+    const location = getLocation(exception.header)
+    if (location) segments = segments.concat([location])
+
+    const children = exception.children
+    Object.keys(children.at).forEach(key => walk(children.at[key], segments.concat([key])))
+    children.nest.forEach(child => walk(child, segments))
+    children.message.forEach(message => {
+      // a single message can list several missing parameters
+      const missing = /^Missing required parameters?: (.+)$/.exec(message)
+      const names = missing && PARAMETER_LOCATIONS.indexOf(segments[0]) !== -1 && segments.length === 1
+        ? missing[1].split(', ')
+        : [ undefined ]
+      names.forEach(name => {
+        const path = name ? segments.concat([name]) : segments
+        const failure = { pointer: toPointer(path), message }
+        const location = LOCATIONS[path[0]]
+        if (location) failure.location = location
+        if (location && location !== 'body' && path.length > 1) failure.name = String(path[1])
+        const keyword = getKeyword(message)
+        if (keyword) failure.keyword = keyword
+        failures.push(failure)
+      })
+    })
+  }
+}
+
+/**
+ * Determine which content type, if any, the operation declares for sending a problem
+ * document with the specified status code.
+ * @param {object} operation
+ * @param {number} code
+ * @returns {string|undefined}
+ */
+function getProblemContentType (operation, code) {
+  const responses = operation.responses
+  const response = responses[code] || responses[String(code)[0] + 'XX'] || responses.default
+  if (!response) return
+
+  let types
+  if (response.content) {
+    types = Object.keys(response.content).filter(type => response.content[type].schema)
+  } else if (response.schema) {
+    types = operation.produces || []
+  } else {
+    return
+  }
+
+  return types.find(type => type === PROBLEM_CONTENT_TYPE) ||
+    types.find(type => /^application\/(?:[\w.-]+\+)?json$/.test(type))
+}
+
+function getKeyword (message) {
+  const match = KEYWORDS.find(([ rx ]) => rx.test(message))
+  if (match) return match[1]
+}
+
+function getLocation (header) {
+  const match = /^(?:In|Error in one or more) (path|query|header|cookie) parameters?\b/.exec(header)
+  if (match) return match[1]
+  if (header === 'In body') return 'body'
+}
+
+function getStatusCode (err) {
+  const code = err && (err.statusCode || err.status)
+  return typeof code === 'number' && code >= 400 && code < 600 ? code : 500
+}
+
+function toPointer (segments) {
+  return segments
+    .map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('')
+}
@@ -0,0 +1,148 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const fs = require('fs')
+const path = require('path')
+const { getOperationPath } = require('./util')
+
+module.exports = createRecorder
+
+/**
+ * Create a recorder that writes validated responses to fixture files, one file per
+ * operation, and that finds those responses again for replay.
+ * @param {string} directory
+ * @returns {{ find: function, record: function }}
+ */
+function createRecorder (directory) {
+  const writes = {}
+
+  return {
+    /**
+     * Find a recorded response. A response recorded for the same request parameters is
+     * preferred, otherwise the first response recorded with the status code is used.
+     * @param {object} openapi
+     * @param {object} operation
+     * @param {string|number} statusCode
+     * @param {object} params
+     * @returns {Promise<object|undefined>}
+     */
+    find (openapi, operation, statusCode, params) {
+      const filePath = getFilePath(directory, openapi, operation)
+      const key = getKey(statusCode, params)
+      return readEntries(filePath)
+        .then(entries => entries.find(entry => entry.key === key) ||
+          entries.find(entry => String(entry.statusCode) === String(statusCode)))
+    },
+
+    /**
+     * Record a response.
+     * @param {object} openapi
+     * @param {object} operation
+     * @param {object} params The normalized request parameters.
+     * @param {object} response
+     * @param {number} response.statusCode
+     * @param {object} response.headers
+     * @param {*} [response.body]
+     * @returns {Promise}
+     */
+    record (openapi, operation, params, response) {
+      const filePath = getFilePath(directory, openapi, operation)
+      const entry = {
+        key: getKey(response.statusCode, params),
+        statusCode: response.statusCode,
+        params,
+        headers: response.headers
+      }
+      if (Buffer.isBuffer(response.body)) {
+        entry.body = response.body.toString('base64')
+        entry.bodyEncoding = 'base64'
+      } else if (response.body !== undefined) {
+        entry.body = response.body
+      }
+
+      // writes to the same file are queued so that entries are not lost
+      const previous = writes[filePath] || Promise.resolve()
+      const promise = previous
+        .then(() => readEntries(filePath))
+        .then(entries => {
+          const index = entries.findIndex(item => item.key === entry.key)
+          if (index === -1) {
+            entries.push(entry)
+          } else {
+            entries[index] = entry
+          }
+          return mkdir(directory)
+            .then(() => new Promise((resolve, reject) => {
+              fs.writeFile(filePath, JSON.stringify(entries, null, 2), err => {
+                if (err) return reject(err)
+                resolve()
+              })
+            }))
+        })
+      writes[filePath] = promise.catch(() => {})
+      return promise
+    }
+  }
+}
+
+function getFilePath (directory, openapi, operation) {
+  const operationPath = getOperationPath(openapi, operation) || { method: '', pathKey: '' }
+  const name = operation.operationId || (operationPath.method + operationPath.pathKey)
+  return path.resolve(directory, name.replace(/[^\w.-]+/g, '_') + '.json')
+}
+
+// the parameters are serialized with sorted keys so that the key does not depend on order
+function getKey (statusCode, params) {
+  return String(statusCode) + ' ' + JSON.stringify(sortKeys(params))
+}
+
+function mkdir (directory) {
+  return new Promise((resolve, reject) => {
+    fs.mkdir(directory, { recursive: true }, err => {
+      if (err && err.code !== 'EEXIST') return reject(err)
+      resolve()
+    })
+  })
+}
+
+function readEntries (filePath) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(filePath, 'utf8', (err, content) => {
+      if (err && err.code === 'ENOENT') return resolve([])
+      if (err) return reject(err)
+      try {
+        resolve(JSON.parse(content))
+      } catch (err) {
+        reject(Error('Unable to parse recorded responses in ' + filePath + ': ' + err.message))
+      }
+    })
+  })
+}
+
+function sortKeys (value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys)
+  } else if (value && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+    const result = {}
+    Object.keys(value).sort().forEach(key => {
+      result[key] = sortKeys(value[key])
+    })
+    return result
+  } else {
+    return value
+  }
+}
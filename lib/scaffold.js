@@ -0,0 +1,247 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const fs = require('fs')
+const path = require('path')
+const { getParameters, indent, toKey } = require('./util')
+
+module.exports = scaffold
+
+/**
+ * Create controller files, or add missing handlers to existing controller files, for every
+ * operation that is mapped to a controller. Existing handlers are never overwritten.
+ * @param {object} openapi The OpenAPI enforcer document.
+ * @param {string} directory The controllers directory.
+ * @param {object} [options]
+ * @param {boolean} [options.mocks=false] Generate mock controller stubs.
+ * @param {string} [options.xController='x-controller']
+ * @param {string} [options.xOperation='x-operation']
+ * @returns {{ file: string, status: string, added: string[], missing: string[] }[]} The status is
+ *  "created", "updated", "unchanged", or "skipped" for files that could not be updated.
+ */
+function scaffold (openapi, directory, options) {
+  if (!options) options = {}
+  const xController = options.xController || 'x-controller'
+  const xOperation = options.xOperation || 'x-operation'
+
+  // group operations by controller
+  const controllers = {}
+  Object.keys(openapi.paths).forEach(pathKey => {
+    const pathItem = openapi.paths[pathKey]
+    pathItem.methods.forEach(method => {
+      const operation = pathItem[method]
+      const controllerName = operation[xController] || pathItem[xController] || openapi[xController]
+      const operationName = operation[xOperation] || operation.operationId
+      if (!controllerName || !operationName) return
+      if (!controllers[controllerName]) controllers[controllerName] = []
+      if (!controllers[controllerName].find(item => item.operationName === operationName)) {
+        controllers[controllerName].push({ method, operation, operationName, pathItem, pathKey })
+      }
+    })
+  })
+
+  fs.mkdirSync(directory, { recursive: true })
+  return Object.keys(controllers).sort().map(controllerName => {
+    const file = path.resolve(directory, controllerName + '.js')
+    const handlers = controllers[controllerName]
+    const render = handler => renderHandler(handler, !!options.mocks)
+
+    if (!fs.existsSync(file)) {
+      const content = "'use strict'\n\nmodule.exports = {\n" + handlers.map(render).join(',\n\n') + '\n}\n'
+      fs.writeFileSync(file, content)
+      return { file, status: 'created', added: handlers.map(handler => handler.operationName), missing: [] }
+    }
+
+    const content = fs.readFileSync(file, 'utf8')
+    const missing = handlers.filter(handler => !hasHandler(content, handler.operationName))
+    if (!missing.length) return { file, status: 'unchanged', added: [], missing: [] }
+
+    // only module.exports object literals can be updated safely
+    const end = content.lastIndexOf('}')
+    if (!/module\.exports\s*=\s*{/.test(content) || end === -1 || content.substr(end + 1).trim().length) {
+      return { file, status: 'skipped', added: [], missing: missing.map(handler => handler.operationName) }
+    }
+    const before = content.substr(0, end).replace(/\s*$/, '')
+    const separator = /[{,]$/.test(before) ? '\n\n' : ',\n\n'
+    fs.writeFileSync(file, before + separator + missing.map(render).join(',\n\n') + '\n}\n')
+    return { file, status: 'updated', added: missing.map(handler => handler.operationName), missing: [] }
+  })
+}
+
+function describeParameter (parameter) {
+  const type = (parameter.schema && parameter.schema.type) || parameter.type
+  return parameter.in + ' ' + parameter.name +
+    (type ? ' {' + type + '}' : '') +
+    (parameter.required ? ' (required)' : '') +
+    (parameter.description ? ' ' + summarize(parameter.description) : '')
+}
+
+function getExample (response) {
+  const definition = (response.enforcerData && response.enforcerData.definition) || response
+  if (definition.content) {
+    const types = Object.keys(definition.content)
+    for (let i = 0; i < types.length; i++) {
+      const media = definition.content[types[i]]
+      if (media.hasOwnProperty('example')) return { value: media.example }
+      const names = Object.keys(media.examples || {})
+      if (names.length && media.examples[names[0]].hasOwnProperty('value')) return { value: media.examples[names[0]].value }
+    }
+  } else if (definition.examples) {
+    const types = Object.keys(definition.examples)
+    if (types.length) return { value: definition.examples[types[0]] }
+  }
+}
+
+function getResponseSchema (response) {
+  if (response.content) {
+    const type = Object.keys(response.content).find(type => response.content[type].schema)
+    return type ? response.content[type].schema : undefined
+  }
+  return response.schema
+}
+
+function hasHandler (content, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  return new RegExp('(^|[\\s{,.])[\'"]?' + escaped + '[\'"]?\\s*[:(=]', 'm').test(content)
+}
+
+function renderHandler (handler, isMock) {
+  const { method, operation, operationName, pathItem, pathKey } = handler
+  const lines = []
+  const summary = summarize(operation.summary || operation.description || '')
+  if (summary) lines.push(summary, '')
+  lines.push(method.toUpperCase() + ' ' + pathKey)
+
+  const parameters = getParameters(pathItem, operation)
+    .filter(parameter => parameter.in !== 'body')
+    .map(describeParameter)
+  if (operation.requestBody) {
+    const content = operation.requestBody.content || {}
+    Object.keys(content).forEach(type => {
+      const schemaType = content[type].schema && content[type].schema.type
+      parameters.push('body ' + type + (schemaType ? ' {' + schemaType + '}' : '') + (operation.requestBody.required ? ' (required)' : ''))
+    })
+  } else {
+    const body = (operation.parameters || []).find(parameter => parameter.in === 'body')
+    if (body) parameters.push('body' + (body.schema && body.schema.type ? ' {' + body.schema.type + '}' : '') + (body.required ? ' (required)' : ''))
+  }
+  if (parameters.length) {
+    lines.push('')
+    lines.push('Parameters:')
+    parameters.forEach(line => lines.push('- ' + line))
+  }
+
+  const codes = Object.keys(operation.responses || {})
+  if (codes.length) {
+    lines.push('')
+    lines.push('Responses:')
+    codes.forEach(code => {
+      const response = operation.responses[code]
+      const types = response.content ? Object.keys(response.content) : []
+      lines.push('- ' + code + (response.description ? ' ' + summarize(response.description) : '') + (types.length ? ' [' + types.join(', ') + ']' : ''))
+    })
+  }
+
+  lines.push('')
+  lines.push('@param {object} req')
+  lines.push('@param {object} res')
+  lines.push('@param {function} next')
+
+  const comment = '/**\n' + lines.map(line => line.length ? ' * ' + line : ' *').join('\n') + '\n */'
+  const body = isMock
+    ? renderMockBody(operation, codes)
+    : 'next(Error(' + toSource('Operation not implemented: ' + operationName) + '))'
+  return indent(comment + '\n' + toKey(operationName) + ': async function (req, res, next) {\n' + indent(body, 2) + '\n}', 2)
+}
+
+// respond with the status code that the mock request asked for
+function renderMockBody (operation, codes) {
+  const numeric = codes.filter(code => /^\d{3}$/.test(code))
+  const lines = ['const { statusCode } = req.mock', 'switch (String(statusCode)) {']
+  numeric.forEach(code => {
+    const response = operation.responses[code]
+    const schema = getResponseSchema(response)
+    const example = getExample(response)
+    lines.push('  case \'' + code + '\':')
+    if (example || schema) {
+      const value = example ? example.value : sample(schema)
+      lines.push('    res.status(' + code + ').send(' + toSource(value, schema).split('\n').join('\n    ') + ')')
+    } else {
+      lines.push('    res.sendStatus(' + code + ')')
+    }
+    lines.push('    break')
+  })
+  lines.push('  default:')
+  lines.push('    next(Error(\'Mock not implemented for status code: \' + statusCode))')
+  lines.push('}')
+  return lines.join('\n')
+}
+
+// produce the smallest value that satisfies a schema
+function sample (schema) {
+  if (!schema) return null
+  if (schema.hasOwnProperty('example')) return schema.enforcerData ? schema.enforcerData.definition.example : schema.example
+  if (schema.enum && schema.enum.length) return schema.enum[0]
+  if (schema.allOf && schema.allOf.length) return Object.assign.apply(Object, [{}].concat(schema.allOf.map(sample)))
+  if (schema.oneOf && schema.oneOf.length) return sample(schema.oneOf[0])
+  if (schema.anyOf && schema.anyOf.length) return sample(schema.anyOf[0])
+  switch (schema.type) {
+    case 'array':
+      return []
+    case 'boolean':
+      return false
+    case 'integer':
+    case 'number':
+      return schema.minimum !== undefined ? schema.minimum : 0
+    case 'string':
+      if (schema.format === 'date') return '2000-01-01'
+      if (schema.format === 'date-time') return '2000-01-01T00:00:00.000Z'
+      return 'x'.repeat(schema.minLength || 0)
+    default:
+      const result = {}
+      ;(schema.required || []).forEach(key => {
+        result[key] = sample(schema.properties && schema.properties[key])
+      })
+      return result
+  }
+}
+
+function summarize (text) {
+  return String(text).trim().split(/\r?\n\s*\r?\n/)[0].replace(/\s+/g, ' ').replace(/\*\//g, '*\\/')
+}
+
+// render a JSON value as a javascript literal in standard style, with dates as Date objects
+function toSource (value, schema) {
+  if (!schema) schema = {}
+  if (Array.isArray(value)) {
+    if (!value.length) return '[]'
+    return '[\n' + indent(value.map(item => toSource(item, schema.items)).join(',\n'), 2) + '\n]'
+  } else if (value && typeof value === 'object') {
+    const keys = Object.keys(value)
+    if (!keys.length) return '{}'
+    return '{\n' + indent(keys.map(key => {
+      const name = /^[a-zA-Z_$][\w$]*$/.test(key) ? key : toSource(key)
+      return name + ': ' + toSource(value[key], schema.properties && schema.properties[key])
+    }).join(',\n'), 2) + '\n}'
+  } else if (typeof value === 'string' && schema.type === 'string' && (schema.format === 'date' || schema.format === 'date-time')) {
+    return 'new Date(' + toSource(value) + ')'
+  } else if (typeof value === 'string') {
+    return "'" + value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n').replace(/\r/g, '\\r') + "'"
+  } else {
+    return JSON.stringify(value)
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const Enforcer = require('openapi-enforcer')
+const { parseCookies } = require('./util')
+
+module.exports = {
+  authenticate,
+  getApiKeyQueryParameters,
+  getSecuritySchemes
+}
+
+/**
+ * Evaluate the security requirements for an operation. The requirements are a list of
+ * alternatives (OR) where each alternative lists security schemes that must all pass (AND).
+ * @param {object} openapi The OpenAPI enforcer document.
+ * @param {object} operation The OpenAPI enforcer operation.
+ * @param {object} req The express request.
+ * @param {Map<string, function>} authenticators Authenticators mapped by security scheme name.
+ * @returns {Promise<{ exception: EnforcerException|null, security: object|null }>}
+ */
+function authenticate (openapi, operation, req, authenticators) {
+  const requirements = operation.security !== undefined ? operation.security : openapi.security
+  if (!requirements || !requirements.length) return Promise.resolve({ exception: null, security: null })
+
+  const schemes = getSecuritySchemes(openapi)
+  const results = {}
+
+  // run each scheme's authenticator at most once per request
+  function run (name) {
+    if (!results.hasOwnProperty(name)) {
+      const scheme = schemes[name]
+      const authenticator = authenticators.get(name)
+      const credentials = scheme && getCredentials(scheme, req)
+      results[name] = !authenticator || credentials === undefined
+        ? Promise.resolve(null)
+        : Promise.resolve(authenticator(credentials, req, scheme)).then(normalizeResult)
+    }
+    return results[name]
+  }
+
+  return Promise.all(requirements.map(requirement => {
+    const names = Object.keys(requirement)
+    return Promise.all(names.map(run))
+      .then(values => {
+        const evaluation = { challenges: [], names, passed: true, forbidden: false, values }
+        names.forEach((name, index) => {
+          const value = values[index]
+          if (!value) {
+            evaluation.passed = false
+          } else if (!requirement[name].every(scope => value.scopes.indexOf(scope) !== -1)) {
+            evaluation.passed = false
+            evaluation.forbidden = true
+            const challenge = schemes[name] && getScopeChallenge(schemes[name], requirement[name])
+            if (challenge) evaluation.challenges.push(challenge)
+          }
+        })
+        return evaluation
+      })
+  }))
+    .then(evaluations => {
+      const passed = evaluations.find(evaluation => evaluation.passed)
+      if (passed) {
+        const security = { principal: undefined, schemes: {}, scopes: [] }
+        passed.names.forEach((name, index) => {
+          const value = passed.values[index]
+          security.schemes[name] = value
+          if (security.principal === undefined) security.principal = value.principal
+          value.scopes.forEach(scope => {
+            if (security.scopes.indexOf(scope) === -1) security.scopes.push(scope)
+          })
+        })
+        return { exception: null, security }
+      }
+
+      // authenticated but without the required scopes
+      const forbidden = evaluations.filter(evaluation => evaluation.forbidden)
+      if (forbidden.length) {
+        const exception = new Enforcer.Exception('Access denied')
+        const challenges = []
+        forbidden.forEach(evaluation => {
+          evaluation.challenges.forEach(challenge => {
+            if (challenges.indexOf(challenge) === -1) challenges.push(challenge)
+          })
+        })
+        exception.message('Insufficient scope')
+        exception.statusCode = 403
+        if (challenges.length) exception.headers = { 'WWW-Authenticate': challenges.join(', ') }
+        return { exception, security: null }
+      }
+
+      const exception = new Enforcer.Exception('Authentication required')
+      const challenges = []
+      requirements.forEach(requirement => {
+        Object.keys(requirement).forEach(name => {
+          const challenge = schemes[name] && getChallenge(schemes[name], requirement[name])
+          if (challenge && challenges.indexOf(challenge) === -1) challenges.push(challenge)
+        })
+      })
+      exception.message('Missing or invalid credentials')
+      exception.statusCode = 401
+      if (challenges.length) exception.headers = { 'WWW-Authenticate': challenges.join(', ') }
+      return { exception, security: null }
+    })
+}
+
+/**
+ * Get the names of query parameters that are used to send API keys.
+ * @param {object} openapi
+ * @returns {string[]}
+ */
+function getApiKeyQueryParameters (openapi) {
+  const schemes = getSecuritySchemes(openapi)
+  return Object.keys(schemes)
+    .filter(name => schemes[name].type === 'apiKey' && schemes[name].in === 'query')
+    .map(name => schemes[name].name)
+}
+
+/**
+ * Get the security schemes defined by the document, for either OpenAPI v2 or v3.
+ * @param {object} openapi
+ * @returns {object}
+ */
+function getSecuritySchemes (openapi) {
+  return openapi.swagger
+    ? openapi.securityDefinitions || {}
+    : (openapi.components && openapi.components.securitySchemes) || {}
+}
+
+function getChallenge (scheme, scopes) {
+  const type = scheme.type
+  if (type === 'basic' || (type === 'http' && /^basic$/i.test(scheme.scheme))) {
+    return 'Basic realm="api"'
+  } else if (type === 'http') {
+    return capitalize(scheme.scheme) + ' realm="api"'
+  } else if (type === 'oauth2' || type === 'openIdConnect') {
+    return 'Bearer realm="api"' + (scopes.length ? ', scope="' + scopes.join(' ') + '"' : '')
+  }
+}
+
+// the challenge for a token that lacks the required scopes, as described by RFC 6750
+function getScopeChallenge (scheme, scopes) {
+  const type = scheme.type
+  if (type === 'oauth2' || type === 'openIdConnect' || (type === 'http' && /^bearer$/i.test(scheme.scheme))) {
+    return 'Bearer realm="api", error="insufficient_scope", scope="' + scopes.join(' ') + '"'
+  }
+}
+
+function getCredentials (scheme, req) {
+  const type = scheme.type
+  if (type === 'apiKey') {
+    const name = scheme.name
+    if (scheme.in === 'header') return req.headers[name.toLowerCase()]
+    if (scheme.in === 'query') return req.query[name]
+    if (scheme.in === 'cookie') return parseCookies(req.headers.cookie || '')[name]
+  } else {
+    const authorization = req.headers.authorization
+    if (!authorization) return
+    const match = /^(\S+)\s+(.+)$/.exec(authorization)
+    if (!match) return
+    const [ , authScheme, value ] = match
+    const expectedScheme = type === 'basic'
+      ? 'basic'
+      : type === 'http' ? scheme.scheme : 'bearer'
+    if (authScheme.toLowerCase() !== String(expectedScheme).toLowerCase()) return
+    if (authScheme.toLowerCase() === 'basic') {
+      const decoded = Buffer.from(value, 'base64').toString()
+      const index = decoded.indexOf(':')
+      if (index === -1) return
+      return { username: decoded.substr(0, index), password: decoded.substr(index + 1) }
+    }
+    return value
+  }
+}
+
+function capitalize (value) {
+  value = String(value)
+  return value.substr(0, 1).toUpperCase() + value.substr(1).toLowerCase()
+}
+
+function normalizeResult (value) {
+  if (!value) return null
+  if (value === true) value = {}
+  return {
+    principal: value.principal,
+    scopes: Array.isArray(value.scopes) ? value.scopes : []
+  }
+}
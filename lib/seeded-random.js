@@ -0,0 +1,82 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+
+// seeds are echoed in a response header so they are limited to header safe characters
+const rxSeed = /^[a-zA-Z0-9_.-]{1,64}$/
+
+module.exports = {
+  createSeed,
+  isSeed,
+  withSeed
+}
+
+/**
+ * Create a new random seed.
+ * @returns {string}
+ */
+function createSeed () {
+  return Math.floor(Math.random() * 0x100000000).toString(16)
+}
+
+/**
+ * Determine whether a value can be used as a seed.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isSeed (value) {
+  return typeof value === 'string' && rxSeed.test(value)
+}
+
+/**
+ * Run a synchronous function with Math.random replaced by a generator that is seeded from the
+ * seed and the key. The openapi-enforcer random value generators use Math.random, so this makes
+ * the values that they produce repeatable.
+ * @param {string} seed
+ * @param {string} key Distinguishes values produced with the same seed, for example an operation.
+ * @param {function} fn
+ * @returns {*} The function's return value.
+ */
+function withSeed (seed, key, fn) {
+  const random = Math.random
+  Math.random = mulberry32(hash(seed + ':' + key))
+  try {
+    return fn()
+  } finally {
+    Math.random = random
+  }
+}
+
+// 32 bit FNV-1a hash
+function hash (value) {
+  let result = 0x811c9dc5
+  for (let i = 0; i < value.length; i++) {
+    result ^= value.charCodeAt(i)
+    result = Math.imul(result, 0x01000193)
+  }
+  return result >>> 0
+}
+
+// https://github.com/bryc/code/blob/master/jshash/PRNGs.md#mulberry32
+function mulberry32 (state) {
+  return function () {
+    state = (state + 0x6D2B79F5) | 0
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
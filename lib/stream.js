@@ -0,0 +1,232 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const Enforcer = require('openapi-enforcer')
+const { StringDecoder } = require('string_decoder')
+
+const LINE_TYPES = ['application/jsonl', 'application/ndjson', 'application/x-jsonlines', 'application/x-ndjson']
+const EVENT_STREAM_TYPE = 'text/event-stream'
+
+module.exports = {
+  createStreamEnforcer,
+  isStreamable
+}
+
+/**
+ * Create an enforcer for a response body that is written in chunks. The body is split into items
+ * (lines for line delimited JSON, events for server sent events, or the elements of a JSON array)
+ * and each item is validated against the item schema as soon as it is complete. Items are passed
+ * on to the write handler without buffering the rest of the body.
+ * @param {string} type The response media type.
+ * @param {object} schema The response schema.
+ * @param {object} handlers
+ * @param {function} handlers.write Called with the text to send.
+ * @param {function} handlers.invalid Called with the exception for an invalid item. Returns "abort", "report", or "skip".
+ * @returns {{ write: function, end: function, count: number }}
+ */
+function createStreamEnforcer (type, schema, handlers) {
+  const splitter = type === EVENT_STREAM_TYPE
+    ? eventSplitter()
+    : LINE_TYPES.indexOf(type) !== -1 ? lineSplitter() : arraySplitter()
+  const itemSchema = schema.type === 'array' && schema.items ? schema.items : schema
+  const decoder = new StringDecoder('utf8')
+  let aborted = false
+  let index = 0
+
+  const enforcer = {
+    count: 0,
+    write (buffer) {
+      if (!aborted) forward(splitter.push(decoder.write(buffer)))
+      return !aborted
+    },
+    end () {
+      if (!aborted) forward(splitter.push(decoder.end()).concat(splitter.end()))
+      return !aborted
+    }
+  }
+  return enforcer
+
+  function forward (pieces) {
+    const length = pieces.length
+    for (let i = 0; i < length && !aborted; i++) {
+      const piece = pieces[i]
+      if (!piece.item) {
+        handlers.write(piece.text)
+        continue
+      }
+
+      const exception = validateItem(itemSchema, piece, index)
+      index++
+      if (exception) {
+        const action = handlers.invalid(exception)
+        if (action === 'abort') {
+          aborted = true
+          break
+        } else if (action === 'skip') {
+          continue
+        }
+      }
+      handlers.write(splitter.separator && enforcer.count ? splitter.separator + piece.text : piece.text)
+      enforcer.count++
+    }
+  }
+}
+
+/**
+ * Determine whether a response body with this media type and schema can be validated as it streams.
+ * @param {string} type The response media type.
+ * @param {object} [schema] The response schema.
+ * @returns {boolean}
+ */
+function isStreamable (type, schema) {
+  if (!schema) return false
+  if (LINE_TYPES.indexOf(type) !== -1 || type === EVENT_STREAM_TYPE) return true
+  return /^application\/(?:[\w.-]+\+)?json$/.test(type) && schema.type === 'array'
+}
+
+// split a JSON array into its elements, the separators are written by the stream enforcer
+function arraySplitter () {
+  let current = ''
+  let depth = 0
+  let escaped = false
+  let inString = false
+  let state = 'before'
+
+  return {
+    separator: ',',
+    push (text) {
+      const pieces = []
+      const length = text.length
+      for (let i = 0; i < length; i++) {
+        const char = text[i]
+        if (state === 'before') {
+          if (char === '[') {
+            state = 'open'
+            pieces.push({ text: char })
+          }
+        } else if (state === 'open') {
+          if (inString) {
+            current += char
+            if (escaped) {
+              escaped = false
+            } else if (char === '\\') {
+              escaped = true
+            } else if (char === '"') {
+              inString = false
+            }
+          } else if (char === '"') {
+            inString = true
+            current += char
+          } else if (char === '{' || char === '[') {
+            depth++
+            current += char
+          } else if (depth === 0 && (char === ',' || char === ']')) {
+            if (current.trim()) pieces.push({ item: true, text: current.trim(), data: current.trim() })
+            current = ''
+            if (char === ']') {
+              state = 'closed'
+              pieces.push({ text: char })
+            }
+          } else {
+            if (char === '}' || char === ']') depth--
+            current += char
+          }
+        }
+      }
+      return pieces
+    },
+    end () {
+      const pieces = []
+      if (current.trim()) pieces.push({ item: true, text: current.trim(), data: current.trim() })
+      current = ''
+      return pieces
+    }
+  }
+}
+
+// split server sent events on blank lines, the data of each event is the item
+function eventSplitter () {
+  let buffer = ''
+  return {
+    push (text) {
+      buffer += text
+      const pieces = []
+      let match
+      while ((match = /\r?\n\r?\n/.exec(buffer))) {
+        const end = match.index + match[0].length
+        pieces.push(toEvent(buffer.substring(0, end)))
+        buffer = buffer.substring(end)
+      }
+      return pieces
+    },
+    end () {
+      const pieces = buffer ? [ toEvent(buffer) ] : []
+      buffer = ''
+      return pieces
+    }
+  }
+
+  function toEvent (text) {
+    const data = text.split(/\r?\n/)
+      .filter(line => /^data(?::|$)/.test(line))
+      .map(line => line.replace(/^data:? ?/, ''))
+    return data.length ? { item: true, event: true, text, data: data.join('\n') } : { text }
+  }
+}
+
+// split line delimited JSON into lines, blank lines are passed through
+function lineSplitter () {
+  let buffer = ''
+  return {
+    push (text) {
+      const lines = (buffer + text).split('\n')
+      buffer = lines.pop()
+      return lines.map(line => toLine(line + '\n'))
+    },
+    end () {
+      const pieces = buffer ? [ toLine(buffer) ] : []
+      buffer = ''
+      return pieces
+    }
+  }
+
+  function toLine (text) {
+    return text.trim() ? { item: true, text, data: text.trim() } : { text }
+  }
+}
+
+function validateItem (schema, piece, index) {
+  const exception = new Enforcer.Exception('Response invalid')
+  let value
+  if (piece.event && schema.type === 'string') {
+    value = piece.data
+  } else {
+    try {
+      value = JSON.parse(piece.data)
+    } catch (err) {
+      exception.at('body').at(index).message('Unable to parse item: ' + err.message)
+      return exception
+    }
+  }
+
+  const [ deserialized, error ] = schema.deserialize(value)
+  const child = error || schema.validate(deserialized, { readWriteMode: 'read' })
+  if (child) {
+    exception.at('body').at(index).push(child)
+    return exception
+  }
+}
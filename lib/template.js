@@ -0,0 +1,109 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+
+const rxTemplate = /{{\s*([^{}]+?)\s*}}/g
+const rxWholeTemplate = /^{{\s*([^{}]+?)\s*}}$/
+const SOURCES = ['body', 'cookies', 'headers', 'path', 'query']
+
+module.exports = {
+  render
+}
+
+/**
+ * Replace {{ expression }} templates within the strings of a serialized example. An expression
+ * is either a request value, like "path.id" or "body.name", or a generated value: "uuid", "now",
+ * "date", or "timestamp". A string that is a single template is replaced by the value itself,
+ * so "{{ path.id }}" can produce a number, and a property whose single template has no value is
+ * removed. Templates within longer strings are replaced by text.
+ * @param {*} value The example.
+ * @param {{ body: *, cookies: object, headers: object, path: object, query: object }} context
+ * @returns {*} A copy of the example with its templates replaced.
+ */
+function render (value, context) {
+  if (typeof value === 'string') {
+    const match = rxWholeTemplate.exec(value)
+    if (match) return serialize(resolve(match[1], context))
+    return value.replace(rxTemplate, (template, expression) => {
+      const result = serialize(resolve(expression, context))
+      if (result === undefined || result === null) return ''
+      return typeof result === 'object' ? JSON.stringify(result) : String(result)
+    })
+  } else if (Array.isArray(value)) {
+    return value.map(item => render(item, context))
+  } else if (value && typeof value === 'object') {
+    // properties whose template has no value are left out
+    const result = {}
+    Object.keys(value).forEach(key => {
+      const rendered = render(value[key], context)
+      if (rendered !== undefined) result[key] = rendered
+    })
+    return result
+  } else {
+    return value
+  }
+}
+
+function resolve (expression, context) {
+  switch (expression) {
+    case 'date':
+      return new Date().toISOString().substr(0, 10)
+    case 'now':
+      return new Date().toISOString()
+    case 'timestamp':
+      return Date.now()
+    case 'uuid':
+      return uuid()
+  }
+
+  const [ source, ...keys ] = expression.split('.')
+  if (SOURCES.indexOf(source) === -1) return
+  let value = context[source]
+  const length = keys.length
+  for (let i = 0; i < length; i++) {
+    if (value === undefined || value === null) return
+    value = value[source === 'headers' && i === 0 ? keys[i].toLowerCase() : keys[i]]
+  }
+  return value
+}
+
+// request values are deserialized so they are serialized again before they are deserialized with the example
+function serialize (value) {
+  if (value instanceof Date) {
+    return value.toISOString()
+  } else if (Buffer.isBuffer(value)) {
+    return value.toString('base64')
+  } else if (Array.isArray(value)) {
+    return value.map(serialize)
+  } else if (value && typeof value === 'object') {
+    const result = {}
+    Object.keys(value).forEach(key => {
+      result[key] = serialize(value[key])
+    })
+    return result
+  } else {
+    return value
+  }
+}
+
+// uses Math.random so that generated ids are repeatable for seeded mocks
+function uuid () {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+    const random = Math.floor(Math.random() * 16)
+    return (char === 'x' ? random : (random % 4) + 8).toString(16)
+  })
+}
@@ -0,0 +1,235 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const { getParameters, indent, toKey } = require('./util')
+
+const LOCATIONS = ['path', 'query', 'header', 'cookie']
+
+module.exports = generateTypes
+
+/**
+ * Generate TypeScript declarations for the deserialized request and the responses of every
+ * operation, named by operationId, and a ControllersMap for the operations that are mapped to
+ * controllers.
+ * @param {object} openapi The OpenAPI enforcer document.
+ * @param {object} [options]
+ * @param {string} [options.xController='x-controller']
+ * @param {string} [options.xOperation='x-operation']
+ * @returns {string}
+ */
+function generateTypes (openapi, options) {
+  if (!options) options = {}
+  const xController = options.xController || 'x-controller'
+  const xOperation = options.xOperation || 'x-operation'
+
+  // named schemas are declared once and referenced by name
+  const names = new Map()
+  const components = openapi.swagger
+    ? openapi.definitions || {}
+    : (openapi.components && openapi.components.schemas) || {}
+  Object.keys(components).forEach(key => names.set(components[key], 'Schemas.' + toIdentifier(key)))
+
+  const lines = [
+    '// Generated by openapi-enforcer-middleware. Do not edit.',
+    "import { NextFunction, Request, Response } from 'express-serve-static-core'",
+    ''
+  ]
+
+  const schemaKeys = Object.keys(components)
+  if (schemaKeys.length) {
+    lines.push('export namespace Schemas {')
+    schemaKeys.forEach(key => {
+      lines.push('    export type ' + toIdentifier(key) + ' = ' + indent(toType(components[key], names, true), 4).trim())
+    })
+    lines.push('}', '')
+  }
+
+  const controllers = {}
+  const usedNames = {}
+  Object.keys(openapi.paths).forEach(pathKey => {
+    const pathItem = openapi.paths[pathKey]
+    pathItem.methods.forEach(method => {
+      const operation = pathItem[method]
+      let name = toIdentifier(operation.operationId || operation[xOperation] || (method + ' ' + pathKey))
+      if (usedNames[name]) name += toIdentifier(method + ' ' + pathKey)
+      usedNames[name] = true
+
+      lines.push('// ' + method.toUpperCase() + ' ' + pathKey)
+      lines.push(...renderOperation(name, pathItem, operation, names), '')
+
+      const controllerName = operation[xController] || pathItem[xController] || openapi[xController]
+      const operationName = operation[xOperation] || operation.operationId
+      if (controllerName && operationName) {
+        if (!controllers[controllerName]) controllers[controllerName] = {}
+        controllers[controllerName][operationName] = name
+      }
+    })
+  })
+
+  lines.push('export interface ControllersMap {')
+  Object.keys(controllers).sort().forEach(controllerName => {
+    lines.push('    ' + toKey(controllerName) + ': {')
+    Object.keys(controllers[controllerName]).forEach(operationName => {
+      const name = controllers[controllerName][operationName]
+      lines.push('        ' + toKey(operationName) + ': ' + name + 'Handler | ' + name + 'Handler[];')
+    })
+    lines.push('    };')
+  })
+  lines.push('}', '')
+
+  return lines.join('\n')
+}
+
+function renderOperation (name, pathItem, operation, names) {
+  const lines = []
+  const parameters = getParameters(pathItem, operation)
+
+  // parameters by location
+  lines.push('export interface ' + name + 'Parameters {')
+  LOCATIONS.forEach(location => {
+    const properties = parameters
+      .filter(parameter => parameter.in === location)
+      .map(parameter => {
+        const key = location === 'header' ? parameter.name.toLowerCase() : parameter.name
+        const schema = parameter.schema || parameter
+        return '        ' + toKey(key) + (parameter.required ? '' : '?') + ': ' + indent(toType(schema, names), 8).trim() + ';'
+      })
+    lines.push('    ' + location + ': ' + (properties.length ? '{\n' + properties.join('\n') + '\n    }' : '{}') + ';')
+  })
+  lines.push('}')
+
+  // request body
+  const bodyTypes = []
+  let bodyRequired = false
+  if (operation.requestBody) {
+    const content = operation.requestBody.content || {}
+    Object.keys(content).forEach(type => {
+      bodyTypes.push(content[type].schema ? toType(content[type].schema, names) : 'any')
+    })
+    bodyRequired = !!operation.requestBody.required
+  } else {
+    const body = parameters.find(parameter => parameter.in === 'body')
+    const formData = parameters.filter(parameter => parameter.in === 'formData')
+    if (body) {
+      bodyTypes.push(toType(body.schema, names))
+      bodyRequired = !!body.required
+    } else if (formData.length) {
+      bodyTypes.push('{\n' + formData.map(parameter => {
+        const type = parameter.type === 'file' ? 'Buffer' : toType(parameter, names)
+        return '    ' + toKey(parameter.name) + (parameter.required ? '' : '?') + ': ' + indent(type, 4).trim() + ';'
+      }).join('\n') + '\n}')
+      bodyRequired = true
+    }
+  }
+  const body = bodyTypes.length ? unique(bodyTypes).join(' | ') : 'undefined'
+  lines.push('export type ' + name + 'RequestBody = ' + (bodyTypes.length && !bodyRequired ? body + ' | undefined' : body))
+
+  // responses by status code
+  const responses = operation.responses || {}
+  const responseTypes = Object.keys(responses).map(code => {
+    const response = responses[code]
+    const types = []
+    if (response.content) {
+      Object.keys(response.content).forEach(type => {
+        types.push(response.content[type].schema ? toType(response.content[type].schema, names) : 'any')
+      })
+    } else if (response.schema) {
+      types.push(response.schema.type === 'file' ? 'Buffer' : toType(response.schema, names))
+    }
+    const statusCode = /^\d{3}$/.test(code) ? code : 'number'
+    return indent('{ statusCode: ' + statusCode + '; body' + (types.length ? ': ' + unique(types).join(' | ') : '?: undefined') + ' }', 4).trim()
+  })
+  lines.push('export type ' + name + 'Response = ' + (responseTypes.length ? responseTypes.join('\n    | ') : 'never'))
+
+  lines.push('export type ' + name + 'Request = Request<' + name + 'Parameters[\'path\'], ' + name + 'Response[\'body\'], ' + name + 'RequestBody, ' + name + 'Parameters[\'query\']> & {')
+  lines.push('    cookies: ' + name + 'Parameters[\'cookie\'];')
+  lines.push('    headers: ' + name + 'Parameters[\'header\'];')
+  lines.push('}')
+  lines.push('export type ' + name + 'Handler = (req: ' + name + 'Request, res: Response<' + name + 'Response[\'body\']>, next: NextFunction) => any')
+  return lines
+}
+
+function toIdentifier (value) {
+  const name = String(value)
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(part => part.length)
+    .map(part => part[0].toUpperCase() + part.substr(1))
+    .join('')
+  return /^[0-9]/.test(name) ? '_' + name : (name || '_')
+}
+
+function toType (schema, names, isDeclaration, stack) {
+  if (!schema) return 'any'
+  if (!isDeclaration && names.has(schema)) return names.get(schema)
+  if (!stack) stack = []
+  if (stack.indexOf(schema) !== -1) return 'any'
+  stack = stack.concat([ schema ])
+
+  let type
+  if (schema.enum) {
+    type = schema.enum.map(value => value === null ? 'null' : JSON.stringify(value)).join(' | ')
+  } else if (schema.allOf) {
+    type = schema.allOf.map(item => wrap(toType(item, names, false, stack))).join(' & ')
+  } else if (schema.oneOf || schema.anyOf) {
+    type = (schema.oneOf || schema.anyOf).map(item => wrap(toType(item, names, false, stack))).join(' | ')
+  } else if (schema.type === 'array' || schema.items) {
+    type = 'Array<' + toType(schema.items, names, false, stack) + '>'
+  } else if (schema.type === 'object' || schema.properties || schema.additionalProperties) {
+    const properties = schema.properties || {}
+    const required = schema.required || []
+    const keys = Object.keys(properties)
+    const types = keys.map(key => toType(properties[key], names, false, stack))
+    const members = keys.map((key, index) => {
+      return '    ' + toKey(key) + (required.indexOf(key) === -1 ? '?' : '') + ': ' + indent(types[index], 4).trim() + ';'
+    })
+
+    // every property must be assignable to the index signature
+    if (schema.additionalProperties) {
+      const additional = schema.additionalProperties === true
+        ? 'any'
+        : unique([ toType(schema.additionalProperties, names, false, stack) ]
+          .concat(types, keys.some(key => required.indexOf(key) === -1) ? [ 'undefined' ] : [])
+          .map(wrap))
+          .join(' | ')
+      members.push('    [key: string]: ' + indent(additional, 4).trim() + ';')
+    }
+    type = members.length ? '{\n' + members.join('\n') + '\n}' : 'Record<string, any>'
+  } else if (schema.type === 'string') {
+    type = schema.format === 'date' || schema.format === 'date-time'
+      ? 'Date'
+      : schema.format === 'binary' || schema.format === 'byte' ? 'Buffer' : 'string'
+  } else if (schema.type === 'integer' || schema.type === 'number') {
+    type = 'number'
+  } else if (schema.type === 'boolean') {
+    type = 'boolean'
+  } else if (schema.type === 'file') {
+    type = 'Buffer'
+  } else {
+    type = 'any'
+  }
+
+  return schema.nullable || schema['x-nullable'] ? wrap(type) + ' | null' : type
+}
+
+function unique (values) {
+  return values.filter((value, index) => values.indexOf(value) === index)
+}
+
+// unions and intersections must be wrapped when they are combined
+function wrap (type) {
+  return /[|&]/.test(type) && !/^[{[]/.test(type) ? '(' + type + ')' : type
+}
@@ -0,0 +1,147 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+
+const operationPaths = new WeakMap()
+
+module.exports = {
+  getOperationPath,
+  getParameters,
+  indent,
+  parseCookies,
+  readStream,
+  toKey
+}
+
+/**
+ * Find the path template and method that an operation belongs to.
+ * @param {object} openapi
+ * @param {object} operation
+ * @returns {{ method: string, pathKey: string }|undefined}
+ */
+function getOperationPath (openapi, operation) {
+  if (!operationPaths.has(operation)) {
+    const pathKeys = Object.keys(openapi.paths)
+    const length = pathKeys.length
+    for (let i = 0; i < length; i++) {
+      const pathKey = pathKeys[i]
+      const pathItem = openapi.paths[pathKey]
+      const method = pathItem.methods.find(method => pathItem[method] === operation)
+      if (method) {
+        operationPaths.set(operation, { method, pathKey })
+        break
+      }
+    }
+  }
+  return operationPaths.get(operation)
+}
+
+/**
+ * Get the parameters of an operation. Path level parameters apply unless the operation defines a
+ * parameter with the same name and location.
+ * @param {object} pathItem
+ * @param {object} operation
+ * @returns {object[]}
+ */
+function getParameters (pathItem, operation) {
+  const parameters = (operation.parameters || []).slice(0)
+  ;(pathItem.parameters || []).forEach(parameter => {
+    if (!parameters.find(item => item.name === parameter.name && item.in === parameter.in)) parameters.push(parameter)
+  })
+  return parameters
+}
+
+/**
+ * Indent every line of some text that is not empty.
+ * @param {string} text
+ * @param {number} spaces
+ * @returns {string}
+ */
+function indent (text, spaces) {
+  const prefix = ' '.repeat(spaces)
+  return text.split('\n').map(line => line.length ? prefix + line : line).join('\n')
+}
+
+/**
+ * Parse a cookie header into an object of decoded cookie values.
+ * @param {string} cookie The cookie header.
+ * @returns {object}
+ */
+function parseCookies (cookie) {
+  const result = {}
+  cookie.split(/; */).forEach(pair => {
+    const index = pair.indexOf('=')
+    if (index > 0) {
+      const value = pair.substr(index + 1).trim()
+      try {
+        result[pair.substr(0, index).trim()] = decodeURIComponent(value)
+      } catch (err) {
+        result[pair.substr(0, index).trim()] = value
+      }
+    }
+  })
+  return result
+}
+
+/**
+ * Read a request stream into a buffer. Once the limit is exceeded the rest of the stream is
+ * discarded.
+ * @param {object} req
+ * @param {number} limit The maximum number of bytes.
+ * @returns {Promise<Buffer|undefined>} Undefined if the limit was exceeded.
+ */
+function readStream (req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let length = 0
+    const onData = chunk => {
+      length += chunk.length
+      if (length > limit) {
+        cleanup()
+        req.resume()
+        resolve()
+      } else {
+        chunks.push(chunk)
+      }
+    }
+    const onEnd = () => {
+      cleanup()
+      resolve(Buffer.concat(chunks))
+    }
+    const onError = err => {
+      cleanup()
+      reject(err)
+    }
+    const cleanup = () => {
+      req.removeListener('data', onData)
+      req.removeListener('end', onEnd)
+      req.removeListener('error', onError)
+    }
+    req.on('data', onData)
+    req.on('end', onEnd)
+    req.on('error', onError)
+  })
+}
+
+/**
+ * Get the source for an object key, quoting keys that are not valid identifiers.
+ * @param {string} key
+ * @returns {string}
+ */
+function toKey (key) {
+  return /^[a-zA-Z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)
+}
@@ -0,0 +1,73 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+const Debug = require('debug')
+const fs = require('fs')
+const path = require('path')
+
+const debug = Debug('openapi-enforcer-middleware:watch')
+
+module.exports = {
+  clearRequireCache,
+  createWatcher
+}
+
+/**
+ * Remove all modules within a directory from the require cache so that they will be loaded
+ * fresh the next time that they are required.
+ * @param {string} directory
+ */
+function clearRequireCache (directory) {
+  const prefix = path.resolve(directory) + path.sep
+  Object.keys(require.cache).forEach(key => {
+    if (key.indexOf(prefix) === 0) delete require.cache[key]
+  })
+}
+
+/**
+ * Create a file system watcher that calls the change handler, debounced, when any of the
+ * watched files or directories change. Watchers do not keep the process running.
+ * @param {function} onChange
+ * @param {number} [delay=100]
+ * @returns {{ add: function, close: function }}
+ */
+function createWatcher (onChange, delay = 100) {
+  const watchers = {}
+  let timeout
+
+  return {
+    add (target) {
+      target = path.resolve(target)
+      if (watchers.hasOwnProperty(target)) return
+      debug('watching ' + target)
+      const watcher = fs.watch(target, { persistent: false }, () => {
+        clearTimeout(timeout)
+        timeout = setTimeout(onChange, delay)
+      })
+      watcher.on('error', err => debug('watch error for ' + target + ': ' + err.message))
+      watchers[target] = watcher
+    },
+
+    close () {
+      clearTimeout(timeout)
+      Object.keys(watchers).forEach(key => {
+        watchers[key].close()
+        delete watchers[key]
+      })
+    }
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ *  @license
+ *    Copyright 2019 Brigham Young University
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *        http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ **/
+'use strict'
+
+const entities = { amp: '&', apos: "'", gt: '>', lt: '<', quot: '"' }
+
+module.exports = {
+  parse,
+  serialize
+}
+
+/**
+ * Parse an XML document into a value that matches the schema, using the schema's OpenAPI
+ * xml object hints (name, attribute, and wrapped) to locate each value.
+ * @param {string} text
+ * @param {object} [schema]
+ * @returns {*}
+ */
+function parse (text, schema) {
+  const root = parseDocument(String(text))
+  return fromNode(root, schema || {})
+}
+
+/**
+ * Serialize a value to an XML document, using the schema's OpenAPI xml object hints (name,
+ * namespace, prefix, attribute, and wrapped).
+ * @param {*} value
+ * @param {object} [schema]
+ * @returns {string}
+ */
+function serialize (value, schema) {
+  schema = schema || {}
+  const name = getXml(schema).name || 'root'
+  return '<?xml version="1.0" encoding="UTF-8"?>' + toElement(name, value, schema, true)
+}
+
+function coerce (text, schema) {
+  const type = schema.type
+  if ((type === 'integer' || type === 'number') && text.trim().length && !isNaN(text)) return +text
+  if (type === 'boolean' && (text === 'true' || text === 'false')) return text === 'true'
+  return text
+}
+
+function decode (text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.substr(2), 16)
+        : parseInt(entity.substr(1), 10))
+    }
+    return entities.hasOwnProperty(entity) ? entities[entity] : match
+  })
+}
+
+function escape (value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function findChildren (node, name) {
+  return node.children.filter(child => localName(child.name) === name)
+}
+
+function fromNode (node, schema) {
+  const type = getType(schema)
+  if (type === 'array') {
+    const items = schema.items || {}
+    const itemName = getXml(items).name
+    const children = itemName ? findChildren(node, itemName) : node.children
+    return children.map(child => fromNode(child, items))
+  } else if (type === 'object') {
+    const result = {}
+    const properties = schema.properties || {}
+    Object.keys(properties).forEach(key => {
+      const property = properties[key]
+      const xml = getXml(property)
+      const name = xml.name || key
+      if (xml.attribute) {
+        const attributeName = Object.keys(node.attributes).find(item => localName(item) === name)
+        if (attributeName !== undefined) result[key] = coerce(node.attributes[attributeName], property)
+      } else if (getType(property) === 'array') {
+        const items = property.items || {}
+        if (xml.wrapped) {
+          const wrapper = findChildren(node, name)[0]
+          if (wrapper) result[key] = fromNode(wrapper, property)
+        } else {
+          const children = findChildren(node, getXml(items).name || name)
+          if (children.length) result[key] = children.map(child => fromNode(child, items))
+        }
+      } else {
+        const child = findChildren(node, name)[0]
+        if (child) result[key] = fromNode(child, property)
+      }
+    })
+
+    // elements without a schema property are kept as text
+    if (!schema.properties) {
+      node.children.forEach(child => {
+        result[localName(child.name)] = child.children.length ? fromNode(child, {}) : child.text
+      })
+    }
+    return result
+  } else {
+    return coerce(node.text, schema)
+  }
+}
+
+function getType (schema) {
+  if (schema.type) return schema.type
+  if (schema.items) return 'array'
+  if (schema.properties) return 'object'
+}
+
+function getXml (schema) {
+  return (schema && schema.xml) || {}
+}
+
+function localName (name) {
+  const index = name.indexOf(':')
+  return index === -1 ? name : name.substr(index + 1)
+}
+
+function parseDocument (text) {
+  const rx = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g
+  const stack = [ { name: '', attributes: {}, children: [], text: '' } ]
+  let match
+  while ((match = rx.exec(text))) {
+    const current = stack[stack.length - 1]
+    if (match[1] !== undefined) {
+      current.text += match[1]
+    } else if (match[2] !== undefined) {
+      if (stack.length === 1 || current.name !== match[2]) throw Error('Unexpected closing tag: ' + match[2])
+      stack.pop()
+    } else if (match[3] !== undefined) {
+      const node = { name: match[3], attributes: parseAttributes(match[4]), children: [], text: '' }
+      current.children.push(node)
+      if (!match[5]) stack.push(node)
+    } else if (match[6] !== undefined) {
+      current.text += decode(match[6])
+    }
+  }
+  if (stack.length !== 1) throw Error('Missing closing tag: ' + stack[stack.length - 1].name)
+  if (stack[0].children.length !== 1) throw Error('Expected a single root element')
+  const root = stack[0].children[0]
+  trimText(root)
+  return root
+}
+
+function parseAttributes (text) {
+  const attributes = {}
+  const rx = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+  let match
+  while ((match = rx.exec(text))) {
+    attributes[match[1]] = decode(match[2] !== undefined ? match[2] : match[3])
+  }
+  return attributes
+}
+
+function qualifiedName (name, xml) {
+  return xml.prefix ? xml.prefix + ':' + name : name
+}
+
+function toElement (name, value, schema, isRoot) {
+  const xml = getXml(schema)
+  const tag = qualifiedName(name, xml)
+  let attributes = xml.namespace
+    ? ' xmlns' + (xml.prefix ? ':' + xml.prefix : '') + '="' + escape(xml.namespace) + '"'
+    : ''
+
+  if (value === undefined || value === null) return '<' + tag + attributes + '/>'
+
+  if (Array.isArray(value)) {
+    const items = schema.items || {}
+    const itemName = getXml(items).name || name
+    const content = value.map(item => toElement(itemName, item, items, false)).join('')
+
+    // arrays are unwrapped unless requested, but the document root must be a single element
+    return xml.wrapped || isRoot
+      ? '<' + tag + attributes + '>' + content + '</' + tag + '>'
+      : content
+  }
+
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    const properties = schema.properties || {}
+    let content = ''
+    Object.keys(value).forEach(key => {
+      const property = properties[key] || {}
+      const propertyXml = getXml(property)
+      const propertyName = propertyXml.name || key
+      if (propertyXml.attribute) {
+        if (value[key] !== undefined) attributes += ' ' + qualifiedName(propertyName, propertyXml) + '="' + escape(value[key]) + '"'
+      } else {
+        content += toElement(propertyName, value[key], property, false)
+      }
+    })
+    return '<' + tag + attributes + '>' + content + '</' + tag + '>'
+  }
+
+  const text = value instanceof Date ? value.toISOString() : value
+  return '<' + tag + attributes + '>' + escape(text) + '</' + tag + '>'
+}
+
+function trimText (node) {
+  if (node.children.length) {
+    node.text = node.text.trim()
+    node.children.forEach(trimText)
+  }
+}
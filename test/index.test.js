@@ -18,13 +18,15 @@
 const chai = require('chai')
 const chaiAsPromised = require('chai-as-promised')
 const Enforcer = require('../index')
+const fs = require('fs')
 const helper = require('./resources/helper')
+const os = require('os')
 const path = require('path')
 
 const expect = chai.expect
 chai.use(chaiAsPromised)
 
-/* global describe it */
+/* global describe it beforeEach afterEach */
 describe('openapi-enforcer-middleware', () => {
   describe('map controllers', () => {
     it('will produce exception for invalid controller target', () => {
@@ -988,4 +990,2565 @@ describe('openapi-enforcer-middleware', () => {
       })
     })
   })
+
+  describe('error handler', () => {
+    const dates = {
+      '/': {
+        get: {
+          parameters: [{ name: 'date', in: 'query', schema: { type: 'string', format: 'date' } }],
+          responses: { 200: { description: '' } }
+        }
+      }
+    }
+
+    it('sends request errors as problem details with failure pointers', async () => {
+      const enforcer = Enforcer(helper.openapi(dates))
+      const { res } = await helper.request(enforcer, { uri: '/?date=abc' }, { after: [enforcer.errorHandler()] })
+      expect(res.statusCode).to.equal(400)
+      expect(res.headers['content-type']).to.match(/^application\/problem\+json/)
+      const body = JSON.parse(res.body)
+      expect(body).to.include({ type: 'about:blank', title: 'Bad Request', status: 400 })
+      expect(body.failures[0].pointer).to.equal('/query/date')
+      expect(body.failures[0].message).to.match(/YYYY-MM-DD/)
+    })
+
+    it('uses the type prefix for the problem type', async () => {
+      const enforcer = Enforcer(helper.openapi(dates))
+      const handler = enforcer.errorHandler({ typePrefix: 'https://example.com/problems/' })
+      const { res } = await helper.request(enforcer, { uri: '/?date=abc', json: true }, { after: [handler] })
+      expect(res.body.type).to.equal('https://example.com/problems/400')
+    })
+
+    it('does not expose server error details by default', async () => {
+      const definition = helper.definition.v3()
+      definition['x-controller'] = 'controller'
+      definition.paths['/'].get['x-operation'] = 'fail'
+      const enforcer = Enforcer(definition)
+      enforcer.controllers({
+        controller: {
+          fail () {
+            throw Error('Database password is hunter2')
+          }
+        }
+      })
+      const { res } = await helper.request(enforcer, { json: true }, { after: [enforcer.errorHandler()] })
+      expect(res.statusCode).to.equal(500)
+      expect(res.body).to.deep.equal({ type: 'about:blank', title: 'Internal Server Error', status: 500 })
+    })
+
+    it('renders through the declared error response schema', async () => {
+      const definition = helper.openapi(dates)
+      definition.paths['/'].get.responses.default = {
+        description: '',
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                status: { type: 'integer' },
+                title: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+      const enforcer = Enforcer(definition)
+      const { res } = await helper.request(enforcer, { uri: '/?date=abc' }, { after: [enforcer.errorHandler()] })
+      expect(res.statusCode).to.equal(400)
+      expect(res.headers['content-type']).to.match(/^application\/json/)
+      expect(JSON.parse(res.body).status).to.equal(400)
+    })
+
+    it('validates the problem document when used within the enforcer middleware', async () => {
+      const definition = helper.openapi(dates)
+      definition.paths['/'].get.responses[400] = {
+        description: '',
+        content: {
+          'application/problem+json': {
+            schema: {
+              type: 'object',
+              required: ['status', 'title'],
+              properties: {
+                status: { type: 'integer' },
+                title: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+      const enforcer = Enforcer(definition)
+      enforcer.use(enforcer.errorHandler())
+      const { res } = await helper.request(enforcer, { uri: '/?date=abc' })
+      expect(res.statusCode).to.equal(400)
+      expect(res.headers['content-type']).to.match(/^application\/problem\+json/)
+      expect(JSON.parse(res.body).title).to.equal('Bad Request')
+    })
+
+    it('sends problem details within the enforcer middleware when the operation is not known', async () => {
+      const definition = helper.openapi({
+        '/x/{id}': {
+          get: {
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+            responses: { 200: { description: '' } }
+          }
+        }
+      })
+      const enforcer = Enforcer(definition)
+      enforcer.use(enforcer.errorHandler())
+      const { res } = await helper.request(enforcer, { uri: '/x/abc' })
+      expect(res.statusCode).to.equal(400)
+      expect(res.headers['content-type']).to.match(/^application\/problem\+json/)
+      expect(JSON.parse(res.body)).to.include({ title: 'Bad Request', status: 400 })
+    })
+  })
+
+  describe('validation failures', () => {
+    const item = {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', maxLength: 3 },
+        tags: { type: 'array', items: { type: 'string', enum: ['a', 'b'] } }
+      }
+    }
+    const items = {
+      '/items/{id}': {
+        put: {
+          parameters: [
+            { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', maximum: 10 } },
+            { name: 'x-a', in: 'header', required: true, schema: { type: 'string' } },
+            { name: 'x-b', in: 'header', required: true, schema: { type: 'string' } }
+          ],
+          requestBody: { content: { 'application/json': { schema: item } } },
+          responses: { 200: { description: '', content: { 'application/json': { schema: item } } } }
+        }
+      }
+    }
+
+    it('lists the failures of an invalid request', async () => {
+      let err
+      const enforcer = Enforcer(helper.openapi(items))
+      enforcer.use((req, res) => res.send({ name: 'a' }))
+      await helper.request(enforcer, {
+        uri: '/items/1?limit=20',
+        method: 'PUT',
+        json: true,
+        headers: { 'x-a': 'a' },
+        body: { name: 'abcd', tags: ['a', 'c'] }
+      }, {
+        before: [require('body-parser').json()],
+        after: [(e, req, res, next) => res.sendStatus((err = e).statusCode || 500)]
+      })
+      expect(err.statusCode).to.equal(400)
+      expect(err.failures).to.deep.include({
+        location: 'header',
+        pointer: '/header/x-b',
+        name: 'x-b',
+        keyword: 'required',
+        message: 'Missing required parameter: x-b'
+      })
+      const query = err.failures.find(failure => failure.location === 'query')
+      expect(query).to.include({ pointer: '/query/limit', name: 'limit', keyword: 'maximum' })
+      const body = err.failures.filter(failure => failure.location === 'body')
+      expect(body.map(failure => [failure.pointer, failure.keyword])).to.deep.equal([
+        ['/body/name', 'maxLength'],
+        ['/body/tags/1', 'enum']
+      ])
+      expect(body[0]).not.to.have.property('name')
+    })
+
+    it('lists the failures of an invalid response', async () => {
+      let err
+      const enforcer = Enforcer(helper.openapi(items))
+      enforcer.use((req, res) => res.send({ tags: ['c'] }))
+      await helper.request(enforcer, {
+        uri: '/items/1',
+        method: 'PUT',
+        json: true,
+        headers: { 'x-a': 'a', 'x-b': 'b' },
+        body: { name: 'a' }
+      }, {
+        before: [require('body-parser').json()],
+        after: [(e, req, res, next) => res.sendStatus((err = e).statusCode || 500)]
+      })
+      expect(err.failures.map(failure => [failure.location, failure.pointer, failure.keyword])).to.deep.equal([
+        ['body', '/body/tags/0', 'enum'],
+        ['body', '/body', 'required']
+      ])
+    })
+
+    it('includes the failures in problem details', async () => {
+      const enforcer = Enforcer(helper.openapi(items))
+      const { res } = await helper.request(enforcer, {
+        uri: '/items/abc',
+        method: 'PUT',
+        headers: { 'x-a': 'a', 'x-b': 'b' },
+        json: true
+      }, { after: [enforcer.errorHandler()] })
+      expect(res.statusCode).to.equal(400)
+      expect(res.body.failures[0]).to.include({ location: 'path', name: 'id', keyword: 'type' })
+    })
+  })
+
+  describe('security', () => {
+    const paths = {
+      '/': {
+        get: {
+          'x-operation': 'operation',
+          responses: { 200: { description: '' }, default: { description: '' } }
+        }
+      }
+    }
+    const components = {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'query', name: 'key' },
+        basic: { type: 'http', scheme: 'basic' },
+        oauth: {
+          type: 'oauth2',
+          flows: {
+            implicit: {
+              authorizationUrl: 'https://example.com/auth',
+              scopes: { read: '', write: '' }
+            }
+          }
+        }
+      }
+    }
+
+    function securityEnforcer (definition) {
+      const enforcer = Enforcer(definition)
+      enforcer.security('apiKey', key => key === 'secret' && { principal: 'key-user' })
+      enforcer.security('basic', ({ username, password }) => password === 'pass' && { principal: username })
+      enforcer.security('oauth', token => Promise.resolve({ principal: 'oauth-user', scopes: token.split('.') }))
+      enforcer.controllers({
+        controller: {
+          operation (req, res) {
+            res.send(req.security)
+          }
+        }
+      })
+      enforcer.use((err, req, res, next) => {
+        res.set(err.headers || {})
+        res.sendStatus(err.statusCode)
+      })
+      return enforcer
+    }
+
+    it('does not enforce security without registered authenticators', async () => {
+      const definition = helper.openapi(paths, { 'x-controller': 'controller', security: [{ basic: [] }], components })
+      const enforcer = Enforcer(definition)
+      enforcer.controllers({ controller: { operation: (req, res) => res.sendStatus(200) } })
+      const { res } = await helper.request(enforcer)
+      expect(res.statusCode).to.equal(200)
+    })
+
+    it('responds with 401 and a challenge for missing credentials', async () => {
+      const definition = helper.openapi(paths, { 'x-controller': 'controller', security: [{ basic: [] }], components })
+      const enforcer = securityEnforcer(definition)
+      const { res } = await helper.request(enforcer)
+      expect(res.statusCode).to.equal(401)
+      expect(res.headers['www-authenticate']).to.equal('Basic realm="api"')
+    })
+
+    it('exposes the principal for valid credentials', async () => {
+      const definition = helper.openapi(paths, { 'x-controller': 'controller', security: [{ basic: [] }], components })
+      const enforcer = securityEnforcer(definition)
+      const { res } = await helper.request(enforcer, { json: true, auth: { user: 'bob', pass: 'pass' } })
+      expect(res.statusCode).to.equal(200)
+      expect(res.body.principal).to.equal('bob')
+    })
+
+    it('allows any one of the alternative requirements', async () => {
+      const definition = helper.openapi(paths, { 'x-controller': 'controller', security: [{ basic: [] }, { apiKey: [] }], components })
+      const enforcer = securityEnforcer(definition)
+      const { res } = await helper.request(enforcer, { uri: '/?key=secret', json: true })
+      expect(res.statusCode).to.equal(200)
+      expect(res.body.principal).to.equal('key-user')
+    })
+
+    it('requires all schemes within a requirement', async () => {
+      const definition = helper.openapi(paths, { 'x-controller': 'controller', security: [{ basic: [], apiKey: [] }], components })
+      const enforcer = securityEnforcer(definition)
+      const { res } = await helper.request(enforcer, { uri: '/?key=secret' })
+      expect(res.statusCode).to.equal(401)
+    })
+
+    it('responds with 403 for insufficient scopes', async () => {
+      const definition = helper.openapi(paths, { 'x-controller': 'controller', components })
+      definition.paths['/'].get.security = [{ oauth: ['write'] }]
+      const enforcer = securityEnforcer(definition)
+      const { res } = await helper.request(enforcer, { headers: { authorization: 'Bearer read' } })
+      expect(res.statusCode).to.equal(403)
+      expect(res.headers['www-authenticate']).to.equal('Bearer realm="api", error="insufficient_scope", scope="write"')
+    })
+
+    it('exposes granted scopes', async () => {
+      const definition = helper.openapi(paths, { 'x-controller': 'controller', components })
+      definition.paths['/'].get.security = [{ oauth: ['write'] }]
+      const enforcer = securityEnforcer(definition)
+      const { res } = await helper.request(enforcer, { json: true, headers: { authorization: 'Bearer read.write' } })
+      expect(res.statusCode).to.equal(200)
+      expect(res.body.scopes).to.deep.equal(['read', 'write'])
+    })
+
+    it('allows anonymous access with an empty requirement', async () => {
+      const definition = helper.openapi(paths, { 'x-controller': 'controller', security: [{ basic: [] }, {}], components })
+      const enforcer = securityEnforcer(definition)
+      const { res } = await helper.request(enforcer)
+      expect(res.statusCode).to.equal(200)
+    })
+  })
+
+  describe('named middleware', () => {
+    const paths = {
+      '/': {
+        get: {
+          'x-operation': 'root',
+          responses: { 200: { description: '' } }
+        }
+      },
+      '/items/{id}': {
+        'x-middleware': ['auth', 'audit'],
+        get: {
+          'x-operation': 'getItem',
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+          responses: { 200: { description: '' }, 401: { description: '' } }
+        },
+        delete: {
+          'x-operation': 'deleteItem',
+          'x-middleware': [],
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+          responses: { 200: { description: '' } }
+        }
+      }
+    }
+    const properties = { 'x-controller': 'controller', 'x-middleware': ['audit'] }
+
+    function middlewareEnforcer (calls) {
+      const enforcer = Enforcer(helper.openapi(paths, properties))
+      enforcer.namedMiddleware('audit', (req, res, next) => {
+        calls.push('audit ' + typeof req.params.id)
+        next()
+      })
+      enforcer.namedMiddleware('auth', (req, res, next) => {
+        calls.push('auth')
+        if (req.headers.authorization !== 'secret') return res.sendStatus(401)
+        next()
+      })
+      const controller = (req, res) => {
+        calls.push('controller')
+        res.sendStatus(200)
+      }
+      enforcer.controllers({ controller: { deleteItem: controller, getItem: controller, root: controller } })
+      return enforcer
+    }
+
+    it('runs declared middleware in order after validation and before the controller', async () => {
+      const calls = []
+      const { res } = await helper.request(middlewareEnforcer(calls), { uri: '/items/1', headers: { authorization: 'secret' } })
+      expect(res.statusCode).to.equal(200)
+      expect(calls).to.deep.equal(['auth', 'audit number', 'controller'])
+    })
+
+    it('can end the request before the controller', async () => {
+      const calls = []
+      const { res } = await helper.request(middlewareEnforcer(calls), { uri: '/items/1' })
+      expect(res.statusCode).to.equal(401)
+      expect(calls).to.deep.equal(['auth'])
+    })
+
+    it('uses the nearest declaration', async () => {
+      const calls = []
+      await helper.request(middlewareEnforcer(calls), { uri: '/' })
+      await helper.request(middlewareEnforcer(calls), { uri: '/items/1', method: 'DELETE' })
+      expect(calls).to.deep.equal(['audit undefined', 'controller', 'controller'])
+    })
+
+    it('does not run for invalid requests', async () => {
+      const calls = []
+      const { res } = await helper.request(middlewareEnforcer(calls), { uri: '/items/abc', headers: { authorization: 'secret' } })
+      expect(res.statusCode).to.equal(400)
+      expect(calls).to.deep.equal([])
+    })
+
+    it('fails to start when middleware is not registered', async () => {
+      const enforcer = Enforcer(helper.openapi(paths, properties))
+      enforcer.namedMiddleware('audit', (req, res, next) => next())
+      await enforcer.promise.then(() => { throw Error('Should not get here') }, err => {
+        expect(err.message).to.match(/x-middleware for GET \/items\/{id} references middleware that is not registered: auth/)
+      })
+    })
+  })
+
+  describe('response exits', () => {
+    const dated = {
+      '/': {
+        get: {
+          'x-operation': 'operation',
+          responses: {
+            200: {
+              description: '',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    required: ['date'],
+                    properties: {
+                      date: { type: 'string', format: 'date' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+    const binary = {
+      '/': {
+        get: {
+          responses: {
+            200: {
+              description: '',
+              content: {
+                'application/octet-stream': { schema: { type: 'string', format: 'binary' } }
+              }
+            }
+          }
+        }
+      }
+    }
+
+    function sendError (err, req, res, next) {
+      res.status(err.statusCode || 500)
+      res.set('content-type', 'text/plain')
+      res.send(err.message)
+    }
+
+    it('enforces res.json', async () => {
+      const enforcer = Enforcer(helper.openapi(dated, { 'x-controller': 'controller' }))
+      enforcer.controllers({
+        controller: {
+          operation (req, res) {
+            res.json({ date: new Date('2000-01-01T00:00:00.000Z') })
+          }
+        }
+      })
+      const { res } = await helper.request(enforcer, {}, { after: [sendError] })
+      expect(res.statusCode).to.equal(200)
+      expect(JSON.parse(res.body)).to.deep.equal({ date: '2000-01-01' })
+    })
+
+    it('enforces res.status().send chains', async () => {
+      const enforcer = Enforcer(helper.openapi(dated, { 'x-controller': 'controller' }))
+      enforcer.controllers({
+        controller: {
+          operation (req, res) {
+            res.status(200).send({})
+          }
+        }
+      })
+      const { res } = await helper.request(enforcer, {}, { after: [sendError] })
+      expect(res.statusCode).to.equal(500)
+      expect(res.body).to.match(/Response invalid/)
+    })
+
+    it('enforces res.sendStatus', async () => {
+      const enforcer = Enforcer(helper.openapi(dated, { 'x-controller': 'controller' }))
+      enforcer.controllers({
+        controller: {
+          operation (req, res) {
+            res.sendStatus(204)
+          }
+        }
+      })
+      const { res } = await helper.request(enforcer, {}, { after: [sendError] })
+      expect(res.statusCode).to.equal(500)
+      expect(res.body).to.match(/Invalid response code: 204/)
+    })
+
+    it('enforces res.end with a serialized body', async () => {
+      const enforcer = Enforcer(helper.openapi(dated, { 'x-controller': 'controller' }))
+      enforcer.controllers({
+        controller: {
+          operation (req, res) {
+            res.set('content-type', 'application/json')
+            res.end(Buffer.from(JSON.stringify({ date: '2000-01-01' })))
+          }
+        }
+      })
+      const { res } = await helper.request(enforcer, {}, { after: [sendError] })
+      expect(res.statusCode).to.equal(200)
+      expect(JSON.parse(res.body)).to.deep.equal({ date: '2000-01-01' })
+    })
+
+    it('reports invalid bodies sent with res.end', async () => {
+      const enforcer = Enforcer(helper.openapi(dated, { 'x-controller': 'controller' }))
+      enforcer.controllers({
+        controller: {
+          operation (req, res) {
+            res.set('content-type', 'application/json')
+            res.end(JSON.stringify({ date: 'not a date' }))
+          }
+        }
+      })
+      const { res } = await helper.request(enforcer, {}, { after: [sendError] })
+      expect(res.statusCode).to.equal(500)
+      expect(res.body).to.match(/Response invalid/)
+    })
+
+    it('enforces bodies written with res.write', async () => {
+      const enforcer = Enforcer(helper.openapi(dated, { 'x-controller': 'controller' }))
+      enforcer.controllers({
+        controller: {
+          operation (req, res) {
+            res.set('content-type', 'application/json')
+            res.write('{"date":')
+            res.write('"2000-01-01"}')
+            res.end()
+          }
+        }
+      })
+      const { res } = await helper.request(enforcer, {}, { after: [sendError] })
+      expect(res.statusCode).to.equal(200)
+      expect(JSON.parse(res.body)).to.deep.equal({ date: '2000-01-01' })
+    })
+
+    it('reports invalid bodies written with res.write', async () => {
+      const enforcer = Enforcer(helper.openapi(dated, { 'x-controller': 'controller' }))
+      enforcer.controllers({
+        controller: {
+          operation (req, res) {
+            res.set('content-type', 'application/json')
+            res.write('{"date":"not a date"}')
+            res.end()
+          }
+        }
+      })
+      const { res } = await helper.request(enforcer, {}, { after: [sendError] })
+      expect(res.statusCode).to.equal(500)
+      expect(res.body).to.match(/Response invalid/)
+    })
+
+    it('does not hold written bodies when responses are not validated', async () => {
+      const definition = helper.definition.v3()
+      definition.paths['/'].get.responses[200].content = {
+        'text/event-stream': { schema: { type: 'string' } }
+      }
+      const enforcer = Enforcer(definition, { resValidate: false })
+      let headersSent
+      enforcer.use((req, res) => {
+        res.write('data: hello\n\n')
+        headersSent = res.headersSent
+        res.end()
+      })
+      const { res } = await helper.request(enforcer)
+      expect(headersSent).to.equal(true)
+      expect(res.body).to.equal('data: hello\n\n')
+    })
+
+    it('sends binary bodies as they were written', async () => {
+      const enforcer = Enforcer(helper.openapi(binary))
+      enforcer.use((req, res) => {
+        res.set('content-type', 'application/octet-stream')
+        res.end(Buffer.from('hi'))
+      })
+      const { res } = await helper.request(enforcer, { encoding: null })
+      expect(res.statusCode).to.equal(200)
+      expect(res.body.toString()).to.equal('hi')
+    })
+
+    it('sends piped binary bodies as they were written', async () => {
+      const { Readable } = require('stream')
+      const enforcer = Enforcer(helper.openapi(binary))
+      enforcer.use((req, res) => {
+        res.set('content-type', 'application/octet-stream')
+        Readable.from([Buffer.from([0, 1]), Buffer.from([2, 255])]).pipe(res)
+      })
+      const { res } = await helper.request(enforcer, { encoding: null })
+      expect(res.statusCode).to.equal(200)
+      expect(Array.from(res.body)).to.deep.equal([0, 1, 2, 255])
+    })
+  })
+
+  describe('response validation policy', () => {
+    const named = {
+      '/': {
+        get: {
+          responses: {
+            200: {
+              description: '',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    required: ['name'],
+                    properties: {
+                      name: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+
+    function sendError (err, req, res, next) {
+      res.status(err.statusCode || 500)
+      res.send(err.message)
+    }
+
+    it('enforces responses by default', async () => {
+      const reports = []
+      const enforcer = Enforcer(helper.openapi(named), {
+        resValidateReporter: exception => reports.push(exception)
+      })
+      enforcer.use((req, res) => res.send({ age: 1 }))
+      const { res } = await helper.request(enforcer, {}, { after: [sendError] })
+      expect(res.statusCode).to.equal(500)
+      expect(reports.length).to.equal(0)
+    })
+
+    it('can report invalid responses and send them anyway', async () => {
+      const reports = []
+      const enforcer = Enforcer(helper.openapi(named), {
+        resValidatePolicy: 'report',
+        resValidateReporter: (exception, req) => reports.push({ exception, req })
+      })
+      enforcer.use((req, res) => res.send({ age: 1 }))
+      const { res } = await helper.request(enforcer, {}, { after: [sendError] })
+      expect(res.statusCode).to.equal(200)
+      expect(JSON.parse(res.body)).to.deep.equal({ age: 1 })
+      expect(reports.length).to.equal(1)
+      expect(reports[0].exception.toString()).to.match(/required properties missing: name/)
+      expect(reports[0].req.method).to.equal('GET')
+    })
+
+    it('can sample responses', async () => {
+      const reports = []
+      const skipping = Enforcer(helper.openapi(named), {
+        resValidatePolicy: 'sample',
+        resValidateSampleRate: 0,
+        resValidateReporter: exception => reports.push(exception)
+      })
+      skipping.use((req, res) => res.send({ age: 1 }))
+      const skipped = await helper.request(skipping, {}, { after: [sendError] })
+      expect(skipped.res.statusCode).to.equal(200)
+      expect(reports.length).to.equal(0)
+
+      const sampling = Enforcer(helper.openapi(named), {
+        resValidatePolicy: 'sample',
+        resValidateSampleRate: 1,
+        resValidateReporter: exception => reports.push(exception)
+      })
+      sampling.use((req, res) => res.send({ age: 1 }))
+      const sampled = await helper.request(sampling, {}, { after: [sendError] })
+      expect(sampled.res.statusCode).to.equal(200)
+      expect(reports.length).to.equal(1)
+    })
+
+    it('can be overridden per operation', async () => {
+      const reports = []
+      const reporting = helper.openapi(named)
+      reporting.paths['/'].get['x-response-validation'] = 'report'
+      const reporter = Enforcer(reporting, { resValidateReporter: exception => reports.push(exception) })
+      reporter.use((req, res) => res.send({ age: 1 }))
+      const reported = await helper.request(reporter, {}, { after: [sendError] })
+      expect(reported.res.statusCode).to.equal(200)
+      expect(reports.length).to.equal(1)
+
+      const enforcing = helper.openapi(named)
+      enforcing.paths['/'].get['x-response-validation'] = { policy: 'enforce' }
+      const enforcer = Enforcer(enforcing, {
+        resValidatePolicy: 'report',
+        resValidateReporter: exception => reports.push(exception)
+      })
+      enforcer.use((req, res) => res.send({ age: 1 }))
+      const enforced = await helper.request(enforcer, {}, { after: [sendError] })
+      expect(enforced.res.statusCode).to.equal(500)
+      expect(reports.length).to.equal(1)
+
+      const sampling = helper.openapi(named)
+      sampling.paths['/'].get['x-response-validation'] = { policy: 'sample', sampleRate: 0 }
+      const sampler = Enforcer(sampling, { resValidateReporter: exception => reports.push(exception) })
+      sampler.use((req, res) => res.send({ age: 1 }))
+      const skipped = await helper.request(sampler, {}, { after: [sendError] })
+      expect(skipped.res.statusCode).to.equal(200)
+      expect(reports.length).to.equal(1)
+    })
+
+    it('rejects invalid policies', async () => {
+      expect(() => Enforcer(helper.openapi(named), { resValidatePolicy: 'warn' })).to.throw(/resValidatePolicy/)
+      expect(() => Enforcer(helper.openapi(named), { resValidateSampleRate: 2 })).to.throw(/resValidateSampleRate/)
+      const definition = helper.openapi(named)
+      definition.paths['/'].get['x-response-validation'] = { policy: 'sample', sampleRate: 5 }
+      const enforcer = Enforcer(definition)
+      await enforcer.promise.then(() => { throw Error('Should not get here') }, err => {
+        expect(err.message).to.match(/Invalid x-response-validation value for GET \//)
+      })
+    })
+  })
+
+  describe('property filtering', () => {
+    const user = {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        id: { type: 'integer', readOnly: true },
+        name: { type: 'string' },
+        password: { type: 'string', writeOnly: true },
+        tags: {
+          type: 'array',
+          items: { type: 'object', additionalProperties: false, properties: { label: { type: 'string' } } }
+        },
+        meta: { type: 'object', properties: { created: { type: 'string' } } }
+      }
+    }
+    const users = {
+      '/users': {
+        post: {
+          requestBody: { content: { 'application/json': { schema: user } } },
+          responses: { 200: { description: '', content: { 'application/json': { schema: user } } } }
+        }
+      }
+    }
+
+    const row = {
+      id: 1,
+      name: 'Bob',
+      password: 'secret',
+      created_at: '2019-01-01',
+      tags: [{ label: 'a', internal: true }],
+      meta: { created: 'today', source: 'db' }
+    }
+
+    it('fails responses with undocumented properties by default', async () => {
+      const enforcer = Enforcer(helper.openapi(users))
+      enforcer.use((req, res) => res.send(row))
+      const { res } = await helper.request(enforcer, {
+        uri: '/users',
+        method: 'POST',
+        json: true,
+        body: { name: 'Bob' }
+      }, { before: [require('body-parser').json()] })
+      expect(res.statusCode).to.equal(500)
+    })
+
+    it('strips write only and undocumented response properties', async () => {
+      const events = []
+      const enforcer = Enforcer(helper.openapi(users), { resFilter: true })
+      enforcer.on('request-filtered', event => events.push(Object.assign({ name: 'request-filtered' }, event)))
+      enforcer.on('response-filtered', event => events.push(Object.assign({ name: 'response-filtered' }, event)))
+      enforcer.use((req, res) => res.send(row))
+      const { res } = await helper.request(enforcer, {
+        uri: '/users',
+        method: 'POST',
+        json: true,
+        body: { name: 'Bob' }
+      }, { before: [require('body-parser').json()] })
+      expect(res.statusCode).to.equal(200)
+      expect(res.body).to.deep.equal({ id: 1, name: 'Bob', tags: [{ label: 'a' }], meta: { created: 'today' } })
+      expect(events.length).to.equal(1)
+      expect(events[0].name).to.equal('response-filtered')
+      expect(events[0].statusCode).to.equal(200)
+      expect(events[0].stripped).to.deep.equal(['/password', '/created_at', '/tags/0/internal', '/meta/source'])
+    })
+
+    it('does not modify the object sent by the controller', async () => {
+      const data = JSON.parse(JSON.stringify(row))
+      const enforcer = Enforcer(helper.openapi(users), { resFilter: true })
+      enforcer.use((req, res) => res.send(data))
+      await helper.request(enforcer, {
+        uri: '/users',
+        method: 'POST',
+        json: true,
+        body: { name: 'Bob' }
+      }, { before: [require('body-parser').json()] })
+      expect(data).to.deep.equal(row)
+    })
+
+    it('rejects requests with read only properties by default', async () => {
+      let called = false
+      const enforcer = Enforcer(helper.openapi(users))
+      enforcer.use((req, res) => {
+        called = true
+        res.send({})
+      })
+      const { res } = await helper.request(enforcer, {
+        uri: '/users',
+        method: 'POST',
+        json: true,
+        body: { id: 5, name: 'Bob' }
+      }, { before: [require('body-parser').json()] })
+      expect(res.statusCode).to.equal(400)
+      expect(called).to.equal(false)
+    })
+
+    it('strips read only request properties', async () => {
+      let body
+      const events = []
+      const enforcer = Enforcer(helper.openapi(users), { reqFilter: true })
+      enforcer.on('request-filtered', event => events.push(Object.assign({ name: 'request-filtered' }, event)))
+      enforcer.on('response-filtered', event => events.push(Object.assign({ name: 'response-filtered' }, event)))
+      enforcer.use((req, res) => {
+        body = req.body
+        res.send({ name: req.body.name })
+      })
+      const { res } = await helper.request(enforcer, {
+        uri: '/users',
+        method: 'POST',
+        json: true,
+        body: { id: 5, name: 'Bob' }
+      }, { before: [require('body-parser').json()] })
+      expect(res.statusCode).to.equal(200)
+      expect(body).to.deep.equal({ name: 'Bob' })
+      expect(events.map(event => event.name)).to.deep.equal(['request-filtered'])
+      expect(events[0].stripped).to.deep.equal(['/id'])
+    })
+
+    it('keeps additional properties that the schema allows', async () => {
+      const definition = helper.definition.v3()
+      definition.paths['/'].get.responses[200] = {
+        description: '',
+        content: {
+          'application/json': {
+            schema: { type: 'object', properties: { a: { type: 'integer' } }, additionalProperties: true }
+          }
+        }
+      }
+      const enforcer = Enforcer(definition, { resFilter: true })
+      enforcer.use((req, res) => res.send({ a: 1, extra: 'allowed' }))
+      const { res } = await helper.request(enforcer, { json: true })
+      expect(res.body).to.deep.equal({ a: 1, extra: 'allowed' })
+    })
+
+    it('supports composed schemas', async () => {
+      const definition = helper.definition.v3()
+      definition.paths['/'].get.responses[200] = {
+        description: '',
+        content: {
+          'application/json': {
+            schema: {
+              allOf: [
+                { type: 'object', properties: { a: { type: 'string' } } },
+                { type: 'object', properties: { b: { type: 'string', writeOnly: true } } }
+              ]
+            }
+          }
+        }
+      }
+      const enforcer = Enforcer(definition, { resFilter: true })
+      enforcer.use((req, res) => res.send({ a: 'x', b: 'y', c: 'z' }))
+      const { res } = await helper.request(enforcer, { json: true })
+      expect(res.body).to.deep.equal({ a: 'x' })
+    })
+  })
+
+  describe('lifecycle events', () => {
+    const items = {
+      '/{id}': {
+        get: {
+          operationId: 'getItem',
+          parameters: [
+            { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+            { name: 'limit', in: 'query', schema: { type: 'integer' } }
+          ],
+          responses: {
+            200: {
+              description: '',
+              content: { 'application/json': { schema: { type: 'string' } } }
+            }
+          }
+        }
+      }
+    }
+
+    function listen (enforcer) {
+      const events = []
+      ;['request-parsed', 'request-rejected', 'controller-start', 'controller-end', 'mock-served', 'response-validated', 'response-rejected']
+        .forEach(name => enforcer.on(name, event => events.push(Object.assign({ name }, event))))
+      return events
+    }
+
+    it('emits events for requests handled by controllers', async () => {
+      const enforcer = Enforcer(helper.openapi(items, { 'x-controller': 'controller' }))
+      const events = listen(enforcer)
+      enforcer.controllers({ controller: { getItem: (req, res) => res.send('item ' + req.params.id) } })
+      const { res } = await helper.request(enforcer, { uri: '/5' })
+      expect(res.statusCode).to.equal(200)
+      expect(events.map(event => event.name)).to.deep.equal(['request-parsed', 'controller-start', 'response-validated', 'controller-end'])
+      events.forEach(event => {
+        expect(event.operationId).to.equal('getItem')
+        expect(event.path).to.equal('/{id}')
+        expect(event.method).to.equal('GET')
+        expect(event.duration).to.be.a('number')
+      })
+      expect(events[2].validated).to.equal(true)
+      expect(events[3].statusCode).to.equal(200)
+      expect(events[3].controllerDuration).to.be.a('number')
+    })
+
+    it('emits request-rejected for invalid requests', async () => {
+      const enforcer = Enforcer(helper.openapi(items, { 'x-controller': 'controller' }))
+      const events = listen(enforcer)
+      const { res } = await helper.request(enforcer, { uri: '/5?limit=abc' })
+      expect(res.statusCode).to.equal(400)
+      expect(events.map(event => event.name)).to.deep.equal(['request-rejected'])
+      expect(events[0].statusCode).to.equal(400)
+      expect(events[0].operationId).to.equal('getItem')
+    })
+
+    it('emits response-rejected for invalid responses', async () => {
+      const enforcer = Enforcer(helper.openapi(items, { 'x-controller': 'controller' }))
+      const events = listen(enforcer)
+      enforcer.controllers({ controller: { getItem: (req, res) => res.status(201).send('item') } })
+      const { res } = await helper.request(enforcer, { uri: '/5' })
+      expect(res.statusCode).to.equal(500)
+      const rejected = events.find(event => event.name === 'response-rejected')
+      expect(rejected.statusCode).to.equal(201)
+      expect(rejected.exception.toString()).to.match(/Invalid response code/)
+      const end = events.find(event => event.name === 'controller-end')
+      expect(end.statusCode).to.equal(500)
+    })
+
+    it('emits mock-served for mocked responses', async () => {
+      const enforcer = Enforcer(helper.openapi(items, { 'x-controller': 'controller' }))
+      const events = listen(enforcer)
+      enforcer.mocks({}, true).catch(() => {})
+      const { res } = await helper.request(enforcer, { uri: '/5' })
+      expect(res.statusCode).to.equal(200)
+      const served = events.find(event => event.name === 'mock-served')
+      expect(served.mock.origin).to.equal('automatic')
+      expect(served.statusCode).to.equal(200)
+    })
+  })
+
+  describe('reload', () => {
+    let dir
+
+    function writeFiles (message, schemaType) {
+      const definition = helper.definition.v3()
+      definition['x-controller'] = 'greeting'
+      definition.paths['/'].get['x-operation'] = 'hello'
+      definition.paths['/'].get.responses[200].content = {
+        'text/plain': { schema: { type: schemaType || 'string' } }
+      }
+      fs.writeFileSync(path.resolve(dir, 'openapi.json'), JSON.stringify(definition))
+      fs.writeFileSync(path.resolve(dir, 'controllers', 'greeting.js'),
+        'module.exports = { hello: (req, res) => res.send(' + JSON.stringify(message) + ') }')
+    }
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.resolve(os.tmpdir(), 'enforcer-reload-'))
+      fs.mkdirSync(path.resolve(dir, 'controllers'))
+    })
+
+    afterEach(() => {
+      fs.rmdirSync(dir, { recursive: true })
+    })
+
+    it('rebuilds the definition and controllers', async () => {
+      writeFiles('one')
+      const enforcer = Enforcer(path.resolve(dir, 'openapi.json'))
+      await enforcer.controllers(path.resolve(dir, 'controllers'))
+
+      const { app, request, start, stop } = helper.server()
+      app.use(enforcer.middleware())
+      await start()
+      const first = await request()
+      writeFiles('two')
+      await enforcer.reload()
+      const second = await request()
+      await stop()
+
+      expect(first.res.body).to.equal('one')
+      expect(second.res.body).to.equal('two')
+    })
+
+    it('keeps the previous definition when the rebuild fails', async () => {
+      writeFiles('one')
+      const enforcer = Enforcer(path.resolve(dir, 'openapi.json'))
+      await enforcer.controllers(path.resolve(dir, 'controllers'))
+      writeFiles('two', 'not-a-type')
+      await expect(enforcer.reload()).to.be.rejected
+      const { res } = await helper.request(enforcer)
+      expect(res.body).to.equal('one')
+    })
+
+    it('recovers from a definition that failed to build', async () => {
+      writeFiles('one', 'not-a-type')
+      const enforcer = Enforcer(path.resolve(dir, 'openapi.json'))
+      await expect(enforcer.controllers(path.resolve(dir, 'controllers'))).to.be.rejected
+      writeFiles('two')
+      await enforcer.reload()
+      const { res } = await helper.request(enforcer)
+      expect(res.statusCode).to.equal(200)
+      expect(res.body).to.equal('two')
+    })
+
+    it('reloads when watched files change', async () => {
+      writeFiles('one')
+      const enforcer = Enforcer(path.resolve(dir, 'openapi.json'), { watch: true })
+      await enforcer.controllers(path.resolve(dir, 'controllers'))
+      const initial = enforcer.promise
+      writeFiles('two')
+
+      const { app, request, start, stop } = helper.server()
+      app.use(enforcer.middleware())
+      await start()
+      for (let i = 0; i < 40 && enforcer.promise === initial; i++) {
+        await new Promise(resolve => setTimeout(resolve, 50))
+      }
+      const { res } = await request()
+      await stop()
+      enforcer.unwatch()
+      expect(res.body).to.equal('two')
+    })
+  })
+
+  describe('mock store', () => {
+    const todo = {
+      type: 'object',
+      properties: {
+        id: { type: 'integer', readOnly: true },
+        title: { type: 'string' },
+        due: { type: 'string', format: 'date' }
+      }
+    }
+    const json = schema => ({ 'application/json': { schema } })
+    const notFound = {
+      description: '',
+      content: json({ type: 'object', properties: { message: { type: 'string' } }, example: { message: 'Not found' } })
+    }
+    const todos = {
+      '/todos': {
+        get: { responses: { 200: { description: '', content: json({ type: 'array', items: todo }) } } },
+        post: {
+          requestBody: { content: json(todo) },
+          responses: {
+            201: {
+              description: '',
+              headers: { Location: { schema: { type: 'string' } } },
+              content: json(todo)
+            }
+          }
+        }
+      },
+      '/todos/{id}': {
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        get: { responses: { 200: { description: '', content: json(todo) }, 404: notFound } },
+        put: {
+          requestBody: { content: json(todo) },
+          responses: { 200: { description: '', content: json(todo) } }
+        },
+        delete: { responses: { 204: { description: '' }, 404: notFound } }
+      }
+    }
+
+    it('serves created resources back', async () => {
+      const enforcer = Enforcer(helper.openapi(todos), { mockStore: true })
+      enforcer.mocks(null, true)
+      const { app, request, start, stop } = helper.server()
+      app.use(require('body-parser').json())
+      app.use(enforcer.middleware())
+      await start()
+      const created = await request({ uri: '/todos', method: 'POST', json: true, body: { title: 'Write tests', due: '2000-01-01' } })
+      const fetched = await request({ uri: '/todos/1', json: true })
+      const list = await request({ uri: '/todos', json: true })
+      await stop()
+
+      expect(created.res.statusCode).to.equal(201)
+      expect(created.res.body).to.deep.equal({ id: 1, title: 'Write tests', due: '2000-01-01' })
+      expect(fetched.res.statusCode).to.equal(200)
+      expect(fetched.res.body).to.deep.equal({ id: 1, title: 'Write tests', due: '2000-01-01' })
+      expect(list.res.body).to.deep.equal([{ id: 1, title: 'Write tests', due: '2000-01-01' }])
+    })
+
+    it('replaces and removes resources', async () => {
+      const enforcer = Enforcer(helper.openapi(todos), { mockStore: true })
+      enforcer.mocks(null, true)
+      const { app, request, start, stop } = helper.server()
+      app.use(require('body-parser').json())
+      app.use(enforcer.middleware())
+      await start()
+      await request({ uri: '/todos', method: 'POST', json: true, body: { title: 'One' } })
+      const replaced = await request({ uri: '/todos/1', method: 'PUT', json: true, body: { title: 'Two' } })
+      const removed = await request({ uri: '/todos/1', method: 'DELETE' })
+      const fetched = await request({ uri: '/todos/1', json: true })
+      await stop()
+
+      expect(replaced.res.body).to.deep.equal({ id: 1, title: 'Two' })
+      expect(removed.res.statusCode).to.equal(204)
+      expect(fetched.res.statusCode).to.equal(404)
+      expect(fetched.res.body).to.deep.equal({ message: 'Not found' })
+    })
+
+    it('is not used unless enabled', async () => {
+      const enforcer = Enforcer(helper.openapi(todos))
+      enforcer.mocks(null, true)
+      const { app, request, start, stop } = helper.server()
+      app.use(require('body-parser').json())
+      app.use(enforcer.middleware())
+      await start()
+      await request({ uri: '/todos', method: 'POST', json: true, body: { title: 'One' } })
+      const fetched = await request({ uri: '/todos/1', json: true })
+      await stop()
+      expect(fetched.res.statusCode).to.equal(200)
+      expect(fetched.res.headers['x-openapi-enforcer']).to.match(/^mock:random;seed=/)
+    })
+
+    it('produces an error for store mocks when the store is not enabled', async () => {
+      const enforcer = Enforcer(helper.openapi(todos))
+      enforcer.mocks(null, false)
+      const { res } = await helper.request(enforcer, { uri: '/todos/1?x-mock=200,store' })
+      expect(res.statusCode).to.equal(501)
+    })
+  })
+
+  describe('record and replay', () => {
+    let dir
+
+    const items = {
+      '/items/{id}': {
+        get: {
+          operationId: 'getItem',
+          'x-controller': 'items',
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+          responses: {
+            200: {
+              description: '',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      id: { type: 'integer' },
+                      created: { type: 'string', format: 'date' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+
+    async function waitForFile (filePath) {
+      for (let i = 0; i < 40 && !fs.existsSync(filePath); i++) {
+        await new Promise(resolve => setTimeout(resolve, 25))
+      }
+    }
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.resolve(os.tmpdir(), 'enforcer-record-'))
+    })
+
+    afterEach(() => {
+      fs.rmdirSync(dir, { recursive: true })
+    })
+
+    it('requires the recordings directory to record', () => {
+      expect(() => Enforcer(helper.openapi(items), { record: true })).to.throw(/requires the "recordings" directory/)
+    })
+
+    it('records controller responses and replays them as mocks', async () => {
+      const recorder = Enforcer(helper.openapi(items), { record: true, recordings: dir })
+      recorder.controllers({
+        items: {
+          getItem (req, res) {
+            res.send({ id: req.params.id, created: new Date('2000-01-01T00:00:00.000Z') })
+          }
+        }
+      })
+      await helper.request(recorder, { uri: '/items/5', json: true })
+      await waitForFile(path.resolve(dir, 'getItem.json'))
+
+      const recorded = JSON.parse(fs.readFileSync(path.resolve(dir, 'getItem.json'), 'utf8'))
+      expect(recorded[0].statusCode).to.equal(200)
+      expect(recorded[0].params.path).to.deep.equal({ id: 5 })
+      expect(recorded[0].body).to.deep.equal({ id: 5, created: '2000-01-01' })
+
+      const replayer = Enforcer(helper.openapi(items), { recordings: dir })
+      replayer.mocks(null, false)
+      const { res } = await helper.request(replayer, { uri: '/items/5?x-mock=200,recorded', json: true })
+      expect(res.statusCode).to.equal(200)
+      expect(res.headers['x-openapi-enforcer']).to.equal('mock:recorded')
+      expect(res.body).to.deep.equal({ id: 5, created: '2000-01-01' })
+    })
+
+    it('produces an error when nothing was recorded', async () => {
+      const enforcer = Enforcer(helper.openapi(items), { recordings: dir })
+      enforcer.mocks(null, false)
+      const { res } = await helper.request(enforcer, { uri: '/items/5?x-mock=200,recorded' })
+      expect(res.statusCode).to.equal(501)
+    })
+
+    it('produces an error for recorded mocks without a recordings directory', async () => {
+      const enforcer = Enforcer(helper.openapi(items))
+      enforcer.mocks(null, false)
+      const { res } = await helper.request(enforcer, { uri: '/items/5?x-mock=200,recorded' })
+      expect(res.statusCode).to.equal(501)
+    })
+  })
+
+  describe('mock faults', () => {
+    const unavailable = {
+      '/': {
+        get: {
+          responses: {
+            200: {
+              description: '',
+              content: { 'application/json': { schema: { type: 'string' }, example: 'ok' } }
+            },
+            503: {
+              description: '',
+              content: { 'application/json': { schema: { type: 'string' }, example: 'unavailable' } }
+            }
+          }
+        }
+      }
+    }
+
+    it('can delay mocked responses', async () => {
+      const enforcer = Enforcer(helper.openapi(unavailable))
+      enforcer.mocks({}, true).catch(() => {})
+      const start = Date.now()
+      const { res } = await helper.request(enforcer, { uri: '/?x-mock=200;delay=50-60' })
+      expect(res.statusCode).to.equal(200)
+      expect(Date.now() - start).to.be.at.least(50)
+    })
+
+    it('can inject declared error responses', async () => {
+      const enforcer = Enforcer(helper.openapi(unavailable))
+      enforcer.mocks({}, true).catch(() => {})
+      const { res } = await helper.request(enforcer, { uri: '/?x-mock=200;error=1' })
+      expect(res.statusCode).to.equal(503)
+      expect(res.body).to.equal('unavailable')
+      expect(res.headers['x-openapi-enforcer']).to.match(/^mock:error;seed=[0-9a-f]+$/)
+    })
+
+    it('keeps the error marker when the injected error is randomly generated', async () => {
+      const definition = helper.definition.v3()
+      definition.paths['/'].get.responses[404] = {
+        description: '',
+        content: { 'application/json': { schema: { type: 'string' } } }
+      }
+      const enforcer = Enforcer(definition)
+      enforcer.mocks({}, true).catch(() => {})
+      const { res } = await helper.request(enforcer, { uri: '/?x-mock=200;error=1' })
+      expect(res.statusCode).to.equal(404)
+      expect(res.headers['x-openapi-enforcer']).to.match(/^mock:error,random;seed=[0-9a-f]+$/)
+    })
+
+    it('does not inject undeclared error responses', async () => {
+      const enforcer = Enforcer(helper.openapi(unavailable))
+      enforcer.mocks({}, true).catch(() => {})
+      const { res } = await helper.request(enforcer, { uri: '/?x-mock=200;error=1;errorStatus=500' })
+      expect(res.statusCode).to.equal(400)
+      expect(res.body).to.match(/No response is defined for status code: 500/)
+    })
+
+    it('uses declared error responses when the configured error status is not declared', async () => {
+      const definition = helper.definition.v3()
+      definition.paths['/'].get.responses[404] = {
+        description: '',
+        content: { 'application/json': { schema: { type: 'string' }, example: 'missing' } }
+      }
+      const enforcer = Enforcer(definition, { mockFaults: { error: 1, errorStatus: 503 } })
+      enforcer.mocks({}, true).catch(() => {})
+      const { res } = await helper.request(enforcer)
+      expect(res.statusCode).to.equal(404)
+      expect(res.body).to.equal('missing')
+    })
+
+    it('can drop the connection', async () => {
+      const enforcer = Enforcer(helper.openapi(unavailable))
+      enforcer.mocks({}, true).catch(() => {})
+      const { res, err } = await helper.request(enforcer, { headers: { 'x-mock': ';drop=1' } })
+      expect(res).to.equal(null)
+      expect(err.message).to.match(/socket hang up|ECONNRESET/)
+    })
+
+    it('can be configured for all mocks', async () => {
+      const enforcer = Enforcer(helper.openapi(unavailable), { mockFaults: { error: 1, errorStatus: 503 } })
+      enforcer.mocks({}, true).catch(() => {})
+      const { res } = await helper.request(enforcer)
+      expect(res.statusCode).to.equal(503)
+
+      const overriding = Enforcer(helper.openapi(unavailable), { mockFaults: { error: 1 } })
+      overriding.mocks({}, true).catch(() => {})
+      const overridden = await helper.request(overriding, { uri: '/?x-mock=200;error=0' })
+      expect(overridden.res.statusCode).to.equal(200)
+    })
+
+    it('injects the same faults for the same seed', async () => {
+      const codes = []
+      const enforcer = Enforcer(helper.openapi(unavailable))
+      enforcer.mocks({}, true).catch(() => {})
+      for (const seed of ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']) {
+        const { res } = await helper.request(enforcer, { uri: '/?x-mock=;seed=' + seed + ';error=0.5' })
+        codes.push(res.statusCode)
+      }
+      expect(codes.slice(8)).to.deep.equal(codes.slice(0, 8))
+      expect(codes).to.include(200)
+      expect(codes).to.include(503)
+    })
+
+    it('rejects invalid fault settings', async () => {
+      const enforcer = Enforcer(helper.openapi(unavailable))
+      enforcer.mocks({}, true).catch(() => {})
+      const { res } = await helper.request(enforcer, { uri: '/?x-mock=200;delay=fast' })
+      expect(res.statusCode).to.equal(400)
+      expect(res.body).to.match(/Mock delay must be a number of milliseconds/)
+      expect(() => Enforcer(helper.openapi(unavailable), { mockFaults: { drop: 2 } })).to.throw(/mockFaults/)
+      expect(() => Enforcer(helper.openapi(unavailable), { mockFaults: { latency: 5 } })).to.throw(/Unknown mock directive: latency/)
+    })
+  })
+
+  describe('seeded mocks', () => {
+    const random = {
+      get: {
+        responses: {
+          200: {
+            description: '',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['id', 'name', 'tags'],
+                  properties: {
+                    id: { type: 'integer', minimum: 0, maximum: 1000000 },
+                    name: { type: 'string' },
+                    tags: { type: 'array', minItems: 3, items: { type: 'string' } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+    const paths = { '/': random, '/other': random }
+
+    it('echoes the seed that was used', async () => {
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.mocks({}, true).catch(() => {})
+      const { res } = await helper.request(enforcer)
+      expect(res.statusCode).to.equal(200)
+      expect(res.headers['x-openapi-enforcer']).to.match(/^mock:random;seed=[0-9a-f]+$/)
+    })
+
+    it('produces the same mock for the same seed and operation', async () => {
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.mocks({}, true).catch(() => {})
+      const { app, request, start, stop } = helper.server()
+      app.use(enforcer.middleware())
+      await start()
+      const first = await request({ uri: '/?x-mock=200,random;seed=abc' })
+      const second = await request({ uri: '/', headers: { 'x-mock': '200,random;seed=abc' } })
+      const other = await request({ uri: '/?x-mock=200,random;seed=xyz' })
+      const same = await request({ uri: '/other?x-mock=200,random;seed=abc' })
+      await stop()
+      expect(first.res.headers['x-openapi-enforcer']).to.equal('mock:random;seed=abc')
+      expect(second.res.body).to.equal(first.res.body)
+      expect(other.res.body).not.to.equal(first.res.body)
+      expect(same.res.body).not.to.equal(first.res.body)
+    })
+
+    it('can replay an echoed seed', async () => {
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.mocks({}, true).catch(() => {})
+      const first = await helper.request(enforcer)
+      const seed = first.res.headers['x-openapi-enforcer'].split('seed=')[1]
+      const replayed = await helper.request(enforcer, { uri: '/?x-mock=;seed=' + seed })
+      expect(replayed.res.body).to.equal(first.res.body)
+    })
+
+    it('can be seeded globally', async () => {
+      const enforcer = Enforcer(helper.openapi(paths), { mockSeed: 42 })
+      enforcer.mocks({}, true).catch(() => {})
+      const first = await helper.request(enforcer)
+      const second = await helper.request(enforcer)
+      expect(first.res.headers['x-openapi-enforcer']).to.equal('mock:random;seed=42')
+      expect(second.res.body).to.equal(first.res.body)
+      expect(() => Enforcer(helper.openapi(paths), { mockSeed: 'not a seed' })).to.throw(/mockSeed/)
+    })
+
+    it('rejects invalid seeds', async () => {
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.mocks({}, true).catch(() => {})
+      const { res } = await helper.request(enforcer, { uri: '/?x-mock=;seed=' + encodeURIComponent('a b') })
+      expect(res.statusCode).to.equal(400)
+    })
+  })
+
+  describe('mock scenarios', () => {
+    let dir
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.resolve(os.tmpdir(), 'openapi-enforcer-middleware-'))
+    })
+
+    afterEach(() => {
+      fs.rmdirSync(dir, { recursive: true })
+    })
+
+    const account = {
+      '/': {
+        get: {
+          operationId: 'getAccount',
+          responses: {
+            200: {
+              description: '',
+              content: {
+                'application/json': {
+                  schema: { type: 'object', properties: { balance: { type: 'number' } } },
+                  examples: {
+                    empty: { value: { balance: 0 } },
+                    rich: { value: { balance: 1000000 } }
+                  }
+                }
+              }
+            },
+            402: {
+              description: '',
+              content: { 'application/json': { schema: { type: 'string' }, example: 'declined' } }
+            }
+          }
+        }
+      }
+    }
+    const scenarios = {
+      'x-mock-scenarios': {
+        'empty-account': { getAccount: '200,example,empty' },
+        'payment-declined': { getAccount: 402 },
+        'broken': { getAccount: '200,example,missing' }
+      }
+    }
+
+    it('activates a scenario with a header', async () => {
+      const enforcer = Enforcer(helper.openapi(account, scenarios))
+      enforcer.mocks({}, false).catch(() => {})
+      const { res } = await helper.request(enforcer, { headers: { 'x-mock-scenario': 'empty-account' } })
+      expect(res.statusCode).to.equal(200)
+      expect(JSON.parse(res.body)).to.deep.equal({ balance: 0 })
+    })
+
+    it('activates a scenario with a cookie', async () => {
+      const enforcer = Enforcer(helper.openapi(account, scenarios))
+      enforcer.mocks({}, false).catch(() => {})
+      const { res } = await helper.request(enforcer, { headers: { cookie: 'theme=dark; x-mock-scenario=payment-declined' } })
+      expect(res.statusCode).to.equal(402)
+      expect(res.body).to.equal('declined')
+    })
+
+    it('prefers an explicit mock over the scenario', async () => {
+      const enforcer = Enforcer(helper.openapi(account, scenarios))
+      enforcer.mocks({}, false).catch(() => {})
+      const { res } = await helper.request(enforcer, { uri: '/?x-mock=200,example,rich', headers: { 'x-mock-scenario': 'empty-account' } })
+      expect(JSON.parse(res.body)).to.deep.equal({ balance: 1000000 })
+    })
+
+    it('loads scenarios from a directory of files', async () => {
+      fs.writeFileSync(path.resolve(dir, 'rich.json'), JSON.stringify({ getAccount: '200,example,rich' }))
+      const enforcer = Enforcer(helper.openapi(account, scenarios), { mockScenarios: dir })
+      enforcer.mocks({}, false).catch(() => {})
+      const { res } = await helper.request(enforcer, { headers: { 'x-mock-scenario': 'rich' } })
+      expect(res.statusCode).to.equal(200)
+      expect(JSON.parse(res.body)).to.deep.equal({ balance: 1000000 })
+    })
+
+    it('produces a 501 for unknown scenarios and examples', async () => {
+      const enforcer = Enforcer(helper.openapi(account, scenarios))
+      enforcer.mocks({}, false).catch(() => {})
+      const unknown = await helper.request(enforcer, { headers: { 'x-mock-scenario': 'nope' } })
+      expect(unknown.res.statusCode).to.equal(501)
+      expect(unknown.res.body).to.match(/Mock scenario is not defined: nope/)
+
+      const broken = await helper.request(enforcer, { headers: { 'x-mock-scenario': 'broken' } })
+      expect(broken.res.statusCode).to.equal(501)
+      expect(broken.res.body).to.match(/There is no example value with the name specified: missing/)
+    })
+
+    it('rejects scenarios for unknown operations', async () => {
+      const enforcer = Enforcer(helper.openapi(account, scenarios), { mockScenarios: { typo: { getAcount: 200 } } })
+      await enforcer.promise.then(() => { throw Error('Should not get here') }, err => {
+        expect(err.message).to.match(/Mock scenario "typo" references an unknown operationId: getAcount/)
+      })
+    })
+  })
+
+  describe('mock templates', () => {
+    const users = {
+      '/users/{id}': {
+        put: {
+          parameters: [
+            { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+            { name: 'verbose', in: 'query', schema: { type: 'boolean' } }
+          ],
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: { type: 'object', properties: { name: { type: 'string' } } }
+              }
+            }
+          },
+          responses: {
+            200: {
+              description: '',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      id: { type: 'integer' },
+                      name: { type: 'string' },
+                      greeting: { type: 'string' },
+                      requestId: { type: 'string' },
+                      updated: { type: 'string', format: 'date-time' },
+                      verbose: { type: 'boolean' }
+                    }
+                  },
+                  examples: {
+                    user: {
+                      value: {
+                        id: '{{ path.id }}',
+                        name: '{{body.name}}',
+                        greeting: 'Hello {{ body.name }}, you are user {{ path.id }}',
+                        requestId: '{{ uuid }}',
+                        updated: '{{ now }}',
+                        verbose: '{{ query.verbose }}'
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+    // templates are not valid example values
+    const componentOptions = { exceptionSkipCodes: ['WSCH006'] }
+
+    it('renders request values and generated values', async () => {
+      const enforcer = Enforcer(helper.openapi(users), { componentOptions, mockTemplates: true })
+      enforcer.mocks({}, false).catch(() => {})
+      const { res } = await helper.request(enforcer, {
+        method: 'PUT',
+        uri: '/users/42?verbose=true&x-mock=200,example,user',
+        json: true,
+        body: { name: 'Bob' }
+      }, { before: [require('body-parser').json()] })
+      expect(res.statusCode).to.equal(200)
+      expect(res.body.id).to.equal(42)
+      expect(res.body.name).to.equal('Bob')
+      expect(res.body.greeting).to.equal('Hello Bob, you are user 42')
+      expect(res.body.requestId).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/)
+      expect(Date.parse(res.body.updated)).to.be.closeTo(Date.now(), 60000)
+      expect(res.body.verbose).to.equal(true)
+    })
+
+    it('is not used unless enabled', async () => {
+      const enforcer = Enforcer(helper.openapi(users), { componentOptions })
+      enforcer.mocks({}, false).catch(() => {})
+      const { res } = await helper.request(enforcer, {
+        method: 'PUT',
+        uri: '/users/42?verbose=true&x-mock=200,example,user',
+        json: true,
+        body: { name: 'Bob' }
+      }, { before: [require('body-parser').json()] })
+      expect(res.statusCode).to.equal(500)
+    })
+
+    it('validates the rendered example', async () => {
+      const enforcer = Enforcer(helper.openapi(users), { componentOptions, mockTemplates: true })
+      enforcer.mocks({}, false).catch(() => {})
+      const { app, request, start, stop } = helper.server()
+      app.use(require('body-parser').json())
+      app.use(enforcer.middleware())
+      await start()
+      const { res } = await request({
+        method: 'PUT',
+        uri: '/users/42?verbose=true&x-mock=200,example,user',
+        json: true,
+        body: { name: 5 }
+      })
+      const invalid = await request({
+        method: 'PUT',
+        uri: '/users/42?x-mock=200,example,user',
+        json: true,
+        body: {}
+      })
+      await stop()
+      expect(res.statusCode).to.equal(400)
+      expect(invalid.res.statusCode).to.equal(200)
+      expect(invalid.res.body).to.deep.equal({
+        id: 42,
+        greeting: 'Hello , you are user 42',
+        requestId: invalid.res.body.requestId,
+        updated: invalid.res.body.updated
+      })
+    })
+  })
+
+  describe('multipart', () => {
+    const uploads = {
+      '/uploads': {
+        post: {
+          requestBody: {
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  required: ['avatar'],
+                  properties: {
+                    count: { type: 'integer' },
+                    meta: { type: 'object', properties: { tag: { type: 'string' } } },
+                    avatar: { type: 'string', format: 'binary', maxLength: 80 },
+                    attachments: { type: 'array', items: { type: 'string', format: 'binary' } }
+                  }
+                },
+                encoding: {
+                  avatar: { contentType: 'image/png, image/jpeg' }
+                }
+              }
+            }
+          },
+          responses: { 200: { description: '' } }
+        }
+      }
+    }
+
+    it('parses fields and files using the request body schema', async () => {
+      let body
+      let files
+      const enforcer = Enforcer(helper.openapi(uploads))
+      enforcer.use((req, res) => {
+        body = req.body
+        files = req.files
+        res.sendStatus(200)
+      })
+      const { res } = await helper.request(enforcer, {
+        uri: '/uploads',
+        method: 'POST',
+        formData: {
+          count: '3',
+          meta: { value: JSON.stringify({ tag: 'a' }), options: { contentType: 'application/json' } },
+          avatar: { value: Buffer.from('png'), options: { filename: 'me.png', contentType: 'image/png' } },
+          attachments: [
+            { value: Buffer.from('one'), options: { filename: 'one.txt' } },
+            { value: Buffer.from('two'), options: { filename: 'two.txt' } }
+          ]
+        }
+      })
+      expect(res.statusCode).to.equal(200)
+      expect(body.count).to.equal(3)
+      expect(body.meta).to.deep.equal({ tag: 'a' })
+      expect(body.avatar.toString()).to.equal('png')
+      expect(body.attachments.map(String)).to.deep.equal(['one', 'two'])
+      expect(files.avatar).to.deep.equal({ contentType: 'image/png', filename: 'me.png', size: 3 })
+      expect(files.attachments.map(file => file.filename)).to.deep.equal(['one.txt', 'two.txt'])
+    })
+
+    it('can provide files as streams', async () => {
+      let avatar
+      const enforcer = Enforcer(helper.openapi(uploads), { multipartFiles: 'stream' })
+      enforcer.use((req, res) => {
+        avatar = req.body.avatar
+        res.sendStatus(200)
+      })
+      const { res } = await helper.request(enforcer, {
+        uri: '/uploads',
+        method: 'POST',
+        formData: {
+          avatar: { value: Buffer.from('png'), options: { filename: 'me.png', contentType: 'image/png' } }
+        }
+      })
+      expect(res.statusCode).to.equal(200)
+      expect(avatar.filename).to.equal('me.png')
+      const chunks = []
+      for await (const chunk of avatar) chunks.push(chunk)
+      expect(Buffer.concat(chunks).toString()).to.equal('png')
+    })
+
+    it('enforces part content types from the encoding object', async () => {
+      const enforcer = Enforcer(helper.openapi(uploads))
+      enforcer.use((req, res) => res.sendStatus(200))
+      const { res } = await helper.request(enforcer, {
+        uri: '/uploads',
+        method: 'POST',
+        formData: {
+          avatar: { value: Buffer.from('gif'), options: { filename: 'me.gif', contentType: 'image/gif' } }
+        }
+      })
+      expect(res.statusCode).to.equal(400)
+      expect(res.body).to.match(/Content-Type not accepted: image\/gif/)
+    })
+
+    it('enforces file size limits from the schema', async () => {
+      const enforcer = Enforcer(helper.openapi(uploads))
+      enforcer.use((req, res) => res.sendStatus(200))
+      const { res } = await helper.request(enforcer, {
+        uri: '/uploads',
+        method: 'POST',
+        formData: {
+          avatar: { value: Buffer.from('more than ten bytes'), options: { filename: 'me.png', contentType: 'image/png' } }
+        }
+      })
+      expect(res.statusCode).to.equal(413)
+    })
+
+    it('enforces the total body limit', async () => {
+      const enforcer = Enforcer(helper.openapi(uploads), { multipartLimit: 100 })
+      enforcer.use((req, res) => res.sendStatus(200))
+      const { res } = await helper.request(enforcer, {
+        uri: '/uploads',
+        method: 'POST',
+        formData: {
+          avatar: { value: Buffer.alloc(200), options: { filename: 'me.png', contentType: 'image/png' } }
+        }
+      })
+      expect(res.statusCode).to.equal(413)
+    })
+
+    it('validates the parsed body', async () => {
+      const enforcer = Enforcer(helper.openapi(uploads))
+      enforcer.use((req, res) => res.sendStatus(200))
+      const { res } = await helper.request(enforcer, { uri: '/uploads', method: 'POST', formData: { count: '3' } })
+      expect(res.statusCode).to.equal(400)
+      expect(res.body).to.match(/avatar/)
+    })
+  })
+
+  describe('media types', () => {
+    const pet = {
+      type: 'object',
+      xml: { name: 'pet' },
+      properties: {
+        id: { type: 'integer', xml: { attribute: true } },
+        name: { type: 'string' },
+        tags: { type: 'array', xml: { wrapped: true }, items: { type: 'string', xml: { name: 'tag' } } }
+      }
+    }
+    const pets = { type: 'array', xml: { name: 'pets' }, items: pet }
+    const paths = {
+      '/pets': {
+        get: {
+          responses: {
+            200: {
+              description: '',
+              content: {
+                'application/json': { schema: pets },
+                'application/xml': { schema: pets },
+                'text/csv': { schema: pets },
+                'application/x-ndjson': { schema: pets },
+                'text/plain': { schema: { type: 'string' } }
+              }
+            }
+          }
+        },
+        post: {
+          requestBody: {
+            content: {
+              'application/xml': { schema: pet },
+              'text/csv': { schema: pets }
+            }
+          },
+          responses: { 200: { description: '', content: { 'application/json': { schema: pets } } } }
+        }
+      }
+    }
+
+    const data = [{ id: 1, name: 'Fido', tags: ['good', 'dog'] }, { id: 2, name: 'Rex, Jr.', tags: [] }]
+
+    it('serializes xml using the xml object hints', async () => {
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.use((req, res) => res.send(data))
+      const { res } = await helper.request(enforcer, { uri: '/pets', headers: { accept: 'application/xml' } })
+      expect(res.headers['content-type']).to.match(/^application\/xml/)
+      expect(res.body).to.equal('<?xml version="1.0" encoding="UTF-8"?><pets>' +
+        '<pet id="1"><name>Fido</name><tags><tag>good</tag><tag>dog</tag></tags></pet>' +
+        '<pet id="2"><name>Rex, Jr.</name><tags></tags></pet></pets>')
+    })
+
+    it('serializes csv', async () => {
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.use((req, res) => res.json(data))
+      const { res } = await helper.request(enforcer, { uri: '/pets', headers: { accept: 'text/csv' } })
+      expect(res.headers['content-type']).to.match(/^text\/csv/)
+      expect(res.body).to.equal('id,name,tags\r\n1,Fido,"[""good"",""dog""]"\r\n2,"Rex, Jr.",[]\r\n')
+    })
+
+    it('serializes ndjson', async () => {
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.use((req, res) => res.send(data))
+      const { res } = await helper.request(enforcer, { uri: '/pets', headers: { accept: 'application/x-ndjson' } })
+      expect(res.body.split('\n').filter(v => v).map(v => JSON.parse(v))).to.deep.equal(data)
+    })
+
+    it('uses registered serializers', async () => {
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.use((req, res) => res.send('hello'))
+      enforcer.serializer('text/plain', body => body.toUpperCase())
+      const { res } = await helper.request(enforcer, { uri: '/pets', headers: { accept: 'text/plain' } })
+      expect(res.body).to.equal('HELLO')
+    })
+
+    it('parses and validates written bodies with a parser', async () => {
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.use((req, res) => {
+        res.set('content-type', 'text/csv')
+        res.end('id,name\r\nabc,Fido\r\n')
+      })
+      const { res } = await helper.request(enforcer, { uri: '/pets' })
+      expect(res.statusCode).to.equal(500)
+    })
+
+    it('parses xml request bodies', async () => {
+      let body
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.use((req, res) => {
+        body = req.body
+        res.send([])
+      })
+      const { res } = await helper.request(enforcer, {
+        uri: '/pets',
+        method: 'POST',
+        headers: { 'content-type': 'application/xml' },
+        body: '<pet id="3"><name>Tom &amp; Jerry</name><tags><tag>a</tag></tags></pet>'
+      })
+      expect(res.statusCode).to.equal(200)
+      expect(body).to.deep.equal({ id: 3, name: 'Tom & Jerry', tags: ['a'] })
+    })
+
+    it('parses csv request bodies', async () => {
+      let body
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.use((req, res) => {
+        body = req.body
+        res.send([])
+      })
+      await helper.request(enforcer, {
+        uri: '/pets',
+        method: 'POST',
+        headers: { 'content-type': 'text/csv' },
+        body: 'id,name\n1,Fido\n2,"Rex, Jr."\n'
+      })
+      expect(body).to.deep.equal([{ id: 1, name: 'Fido' }, { id: 2, name: 'Rex, Jr.' }])
+    })
+
+    it('rejects request bodies that cannot be parsed', async () => {
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.use((req, res) => res.send([]))
+      const { res } = await helper.request(enforcer, {
+        uri: '/pets',
+        method: 'POST',
+        headers: { 'content-type': 'application/xml' },
+        body: '<pet><name>Fido</pet>'
+      })
+      expect(res.statusCode).to.equal(400)
+    })
+
+    it('rejects unsupported request media types with 415', async () => {
+      let called = false
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.use((req, res) => {
+        called = true
+        res.send([])
+      })
+      const { res } = await helper.request(enforcer, {
+        uri: '/pets',
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: '{"name":"Fido"}'
+      })
+      expect(res.statusCode).to.equal(415)
+      expect(res.body).to.match(/Supported types: application\/xml, text\/csv/)
+      expect(called).to.equal(false)
+    })
+
+    it('rejects unsatisfiable accept headers with 406', async () => {
+      let called = false
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.use((req, res) => {
+        called = true
+        res.send([])
+      })
+      const { res } = await helper.request(enforcer, { uri: '/pets', method: 'POST', headers: { accept: 'text/html, application/json;q=0' } })
+      expect(res.statusCode).to.equal(406)
+      expect(res.body).to.match(/Supported types: application\/json/)
+      expect(called).to.equal(false)
+    })
+
+    it('accepts media ranges that match a response media type', async () => {
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.use((req, res) => res.send([]))
+      const { res } = await helper.request(enforcer, { uri: '/pets', method: 'POST', headers: { accept: 'text/html, application/*;q=0.5' } })
+      expect(res.statusCode).to.equal(200)
+    })
+
+    it('uses consumes and produces for openapi 2.0', async () => {
+      const enforcer = Enforcer({
+        swagger: '2.0',
+        info: { title: '', version: '' },
+        consumes: ['application/json'],
+        produces: ['application/json'],
+        paths: {
+          '/': {
+            post: {
+              parameters: [{ name: 'body', in: 'body', schema: { type: 'object' } }],
+              responses: { 200: { description: '', schema: { type: 'object' } } }
+            }
+          }
+        }
+      })
+      enforcer.use((req, res) => res.send({}))
+      const unsupported = await helper.request(enforcer, { method: 'POST', headers: { 'content-type': 'text/plain' }, body: 'hello' })
+      expect(unsupported.res.statusCode).to.equal(415)
+      const unacceptable = await helper.request(enforcer, { method: 'POST', headers: { accept: 'text/plain' } })
+      expect(unacceptable.res.statusCode).to.equal(406)
+    })
+  })
+
+  describe('streamed responses', () => {
+    const item = {
+      type: 'object',
+      required: ['id'],
+      properties: { id: { type: 'integer' }, name: { type: 'string' } }
+    }
+    const paths = {
+      '/export': {
+        get: {
+          responses: {
+            200: {
+              description: '',
+              content: {
+                'application/x-ndjson': { schema: { type: 'array', items: item } },
+                'application/json': { schema: { type: 'array', items: item } },
+                'text/event-stream': { schema: item }
+              }
+            }
+          }
+        }
+      }
+    }
+
+    it('validates line delimited json as it is written', async () => {
+      let headersSent
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.use((req, res) => {
+        res.write('{"id":1,"name":"a"}\n')
+        headersSent = res.headersSent
+        res.write('{"id":2}\n{"id"')
+        res.end(':3}\n')
+      })
+      const { res } = await helper.request(enforcer, { uri: '/export', headers: { accept: 'application/x-ndjson' } })
+      expect(headersSent).to.equal(true)
+      expect(res.statusCode).to.equal(200)
+      expect(res.headers['content-type']).to.match(/^application\/x-ndjson/)
+      expect(res.body).to.equal('{"id":1,"name":"a"}\n{"id":2}\n{"id":3}\n')
+    })
+
+    it('aborts the response at the first invalid item by default', async () => {
+      const events = []
+      const enforcer = Enforcer(helper.openapi(paths))
+      enforcer.on('response-rejected', event => events.push(event))
+      enforcer.use((req, res) => {
+        res.write('{"id":1}\n')
+        res.write('{"name":"a"}\n')
+        res.end('{"id":3}\n')
+      })
+      const { err } = await helper.request(enforcer, { uri: '/export', headers: { accept: 'application/x-ndjson' } })
+      expect(err).not.to.equal(null)
+      expect(events.length).to.equal(1)
+      expect(events[0].exception.toString()).to.match(/required properties missing: id/)
+    })
+
+    it('can skip invalid items', async () => {
+      const reports = []
+      const enforcer = Enforcer(helper.openapi(paths), {
+        resStreamAction: 'skip',
+        resValidateReporter: exception => reports.push(exception)
+      })
+      enforcer.use((req, res) => {
+        res.write('{"id":1}\n{"id":"x"}\n')
+        res.end('{"id":3}\n')
+      })
+      const { res } = await helper.request(enforcer, { uri: '/export', headers: { accept: 'application/x-ndjson' } })
+      expect(res.body).to.equal('{"id":1}\n{"id":3}\n')
+      expect(reports.length).to.equal(1)
+      expect(reports[0].toString()).to.match(/Expected an integer/)
+    })
+
+    it('can report invalid items and send them anyway', async () => {
+      const reports = []
+      const enforcer = Enforcer(helper.openapi(paths), {
+        resStreamAction: 'report',
+        resValidateReporter: exception => reports.push(exception)
+      })
+      enforcer.use((req, res) => {
+        res.write('event: update\ndata: {"id":1}\n\n')
+        res.write(': keep alive\n\n')
+        res.end('data: {"name":"a"}\n\n')
+      })
+      const { res } = await helper.request(enforcer, { uri: '/export', headers: { accept: 'text/event-stream' } })
+      expect(res.body).to.equal('event: update\ndata: {"id":1}\n\n: keep alive\n\ndata: {"name":"a"}\n\n')
+      expect(reports.length).to.equal(1)
+    })
+
+    it('validates the elements of a piped json array', async () => {
+      const { Readable } = require('stream')
+      const reports = []
+      const enforcer = Enforcer(helper.openapi(paths), {
+        resStreamAction: 'skip',
+        resValidateReporter: exception => reports.push(exception)
+      })
+      enforcer.use((req, res) => {
+        res.set('content-type', 'application/json')
+        Readable.from(['[{"id":1,"name":"[a,', ' b]"}, {"na', 'me":"x"},', '{"id":3}]']).pipe(res)
+      })
+      const { res } = await helper.request(enforcer, { uri: '/export' })
+      expect(JSON.parse(res.body)).to.deep.equal([{ id: 1, name: '[a, b]' }, { id: 3 }])
+      expect(reports.length).to.equal(1)
+    })
+
+    it('rejects invalid stream actions', () => {
+      expect(() => Enforcer(helper.openapi(paths), { resStreamAction: 'ignore' })).to.throw(/resStreamAction/)
+    })
+  })
+
+  describe('adapters', () => {
+    const item = { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } }
+    const items = {
+      '/items': {
+        post: {
+          'x-controller': 'items',
+          'x-operation': 'createItem',
+          requestBody: { content: { 'application/json': { schema: item } } },
+          responses: { 200: { description: '', content: { 'application/json': { schema: item } } } }
+        }
+      },
+      '/items/{id}': {
+        get: {
+          'x-controller': 'items',
+          'x-operation': 'getItem',
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+          responses: { 200: { description: '', content: { 'application/json': { schema: item } } } }
+        }
+      }
+    }
+
+    const controllers = {
+      items: {
+        createItem (req, res) {
+          res.send(Object.assign({ id: 1 }, req.body))
+        },
+        getItem (req, res) {
+          res.send({ id: req.params.id, name: req.params.id === 2 ? 2 : 'Item' })
+        }
+      }
+    }
+
+    async function runAdapterTests (server) {
+      const { request, start, stop } = server
+      await start()
+      try {
+        const found = await request({ uri: '/items/1', json: true })
+        expect(found.res.statusCode).to.equal(200)
+        expect(found.res.headers['x-openapi-enforcer']).to.equal('controller')
+        expect(found.res.body).to.deep.equal({ id: 1, name: 'Item' })
+
+        const created = await request({ uri: '/items', method: 'POST', json: true, body: { name: 'New' } })
+        expect(created.res.statusCode).to.equal(200)
+        expect(created.res.body).to.deep.equal({ id: 1, name: 'New' })
+
+        const invalidRequest = await request({ uri: '/items/abc' })
+        expect(invalidRequest.res.statusCode).to.equal(400)
+
+        const invalidResponse = await request({ uri: '/items/2' })
+        expect(invalidResponse.res.statusCode).to.equal(500)
+
+        const mocked = await request({ uri: '/items/1', headers: { 'x-mock': '' }, json: true })
+        expect(mocked.res.statusCode).to.equal(200)
+        expect(mocked.res.headers['x-openapi-enforcer']).to.match(/^mock:random;seed=/)
+      } finally {
+        await stop()
+      }
+    }
+
+    it('runs controllers and mocks with koa', async () => {
+      const enforcer = Enforcer(helper.openapi(items))
+      enforcer.mocks(null, false)
+      enforcer.controllers(controllers)
+      const server = helper.koaServer()
+      server.app.use(async (ctx, next) => {
+        if (ctx.is('json')) {
+          const chunks = []
+          for await (const chunk of ctx.req) chunks.push(chunk)
+          ctx.request.body = JSON.parse(Buffer.concat(chunks).toString())
+        }
+        await next()
+      })
+      server.app.use(enforcer.koa())
+      server.app.use(ctx => {
+        ctx.body = 'not handled'
+      })
+      await runAdapterTests(server)
+
+      await server.start()
+      const { res } = await server.request({ uri: '/other' })
+      await server.stop()
+      expect(res.body).to.equal('not handled')
+    })
+
+    it('runs controllers and mocks with fastify', async () => {
+      const enforcer = Enforcer(helper.openapi(items))
+      enforcer.mocks(null, false)
+      enforcer.controllers(controllers)
+      const server = helper.fastifyServer()
+      server.app.register(enforcer.fastify())
+      await runAdapterTests(server)
+    })
+
+    it('does not change how fastify parses bodies for its own routes', async () => {
+      const enforcer = Enforcer(helper.openapi(items))
+      enforcer.mocks(null, false)
+      enforcer.controllers(controllers)
+      const server = helper.fastifyServer()
+      server.app.post('/own', (request, reply) => reply.send('own'))
+      server.app.register(enforcer.fastify())
+      await server.start()
+      const { res } = await server.request({ uri: '/own', method: 'POST', headers: { 'content-type': 'text/csv' }, body: 'a,b' })
+      await server.stop()
+      expect(res.statusCode).to.equal(415)
+    })
+  })
+
+  describe('invoke', () => {
+    const people = {
+      '/people/{id}': {
+        put: {
+          operationId: 'updatePerson',
+          parameters: [
+            { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+            { name: 'notify', in: 'query', schema: { type: 'boolean' } },
+            { name: 'session', in: 'cookie', schema: { type: 'string' } }
+          ],
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }
+              }
+            }
+          },
+          responses: {
+            200: {
+              description: '',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      id: { type: 'integer' },
+                      name: { type: 'string' },
+                      notify: { type: 'boolean' },
+                      session: { type: 'string' },
+                      updated: { type: 'string', format: 'date-time' }
+                    }
+                  }
+                }
+              }
+            },
+            400: { description: '' }
+          }
+        }
+      }
+    }
+
+    function updatePerson (req, res) {
+      if (req.body.name === 'invalid') return res.send({ id: 'x' })
+      const body = { id: req.params.id, name: req.body.name, updated: new Date('2020-01-01T00:00:00.000Z') }
+      if (req.query.notify !== undefined) body.notify = req.query.notify
+      if (req.headers.cookie) body.session = req.headers.cookie
+      res.send(body)
+    }
+
+    it('runs a request without a server and deserializes the response', async () => {
+      const enforcer = Enforcer(helper.openapi(people))
+      enforcer.use(updatePerson)
+      const response = await enforcer.invoke({
+        method: 'PUT',
+        path: '/people/5',
+        query: { notify: true },
+        headers: { cookie: 'session=abc' },
+        body: { name: 'Bob' }
+      })
+      expect(response.statusCode).to.equal(200)
+      expect(response.headers['content-type']).to.match(/^application\/json/)
+      expect(response.body).to.deep.equal({
+        id: 5,
+        name: 'Bob',
+        notify: true,
+        session: 'session=abc',
+        updated: new Date('2020-01-01T00:00:00.000Z')
+      })
+    })
+
+    it('runs an operation by its operationId', async () => {
+      const enforcer = Enforcer(helper.openapi(people))
+      enforcer.use(updatePerson)
+      const response = await enforcer.invokeOperation('updatePerson', {
+        path: { id: 7 },
+        cookies: { session: 'def' },
+        body: { name: 'Sue' }
+      })
+      expect(response.statusCode).to.equal(200)
+      expect(response.body).to.include({ id: 7, name: 'Sue', session: 'session=def' })
+    })
+
+    it('rejects invalid requests with the validation error', async () => {
+      const enforcer = Enforcer(helper.openapi(people))
+      enforcer.use(updatePerson)
+      const err = await enforcer.invoke({ method: 'PUT', path: '/people/abc', body: {} })
+        .then(() => { throw Error('Should not get here') }, err => err)
+      expect(err.statusCode).to.equal(400)
+      expect(err.failures.map(failure => failure.location)).to.include('path')
+    })
+
+    it('rejects invalid responses', async () => {
+      const enforcer = Enforcer(helper.openapi(people))
+      enforcer.use(updatePerson)
+      const err = await enforcer.invokeOperation('updatePerson', { path: { id: 1 }, body: { name: 'invalid' } })
+        .then(() => { throw Error('Should not get here') }, err => err)
+      expect(err.message).to.match(/Expected an integer/)
+    })
+
+    it('runs the error handler when one is used', async () => {
+      const enforcer = Enforcer(helper.openapi(people))
+      enforcer.use(updatePerson)
+      enforcer.use(enforcer.errorHandler())
+      const response = await enforcer.invoke({ method: 'PUT', path: '/people/1', body: {} })
+      expect(response.statusCode).to.equal(400)
+      expect(response.body.status).to.equal(400)
+    })
+
+    it('resolves with a 404 for unknown paths', async () => {
+      const enforcer = Enforcer(helper.openapi(people))
+      enforcer.use(updatePerson)
+      const response = await enforcer.invoke({ path: '/unknown' })
+      expect(response.statusCode).to.equal(404)
+    })
+
+    it('rejects unknown operations and missing path parameters', async () => {
+      const enforcer = Enforcer(helper.openapi(people))
+      enforcer.use(updatePerson)
+      await expect(enforcer.invokeOperation('deletePerson')).to.be.rejectedWith(/Unknown operationId: deletePerson/)
+      await expect(enforcer.invokeOperation('updatePerson', { body: {} })).to.be.rejectedWith(/Missing path parameter "id"/)
+    })
+  })
+
+  describe('published document', () => {
+    const paths = {
+      '/': {
+        get: { responses: { 200: { description: '' } } }
+      },
+      '/people': {
+        get: {
+          responses: {
+            200: { description: '', content: { 'application/json': { schema: { $ref: '#/components/schemas/Person' } } } }
+          }
+        }
+      },
+      '/internal': {
+        get: { 'x-internal': true, responses: { 200: { description: '' } } }
+      }
+    }
+    const properties = {
+      servers: [{ url: 'https://api.example.com/v1' }],
+      'x-controller': 'people',
+      components: {
+        schemas: { Person: { type: 'object', properties: { name: { type: 'string' } } } }
+      }
+    }
+
+    it('serves the bundled document as json with the servers rewritten', async () => {
+      const enforcer = Enforcer(helper.openapi(paths, properties), { documentPaths: ['/openapi.json', '/openapi.yaml'] })
+      const { app, request, start, stop } = helper.server()
+      app.use('/api', enforcer.middleware())
+      await start()
+      const { res } = await request({ uri: '/api/openapi.json' })
+      await stop()
+      expect(res.statusCode).to.equal(200)
+      expect(res.headers['content-type']).to.match(/^application\/json/)
+      const body = JSON.parse(res.body)
+      expect(body.servers).to.deep.equal([{ url: 'http://' + res.request.uri.host + '/api' }])
+      expect(body.paths['/people'].get.responses[200].content['application/json'].schema).to.deep.equal({ $ref: '#/components/schemas/Person' })
+    })
+
+    it('serves the document as yaml', async () => {
+      const enforcer = Enforcer(helper.openapi(paths, properties), { documentPaths: '/openapi.yaml' })
+      const { app, request, start, stop } = helper.server()
+      app.use('/api', enforcer.middleware())
+      await start()
+      const { res } = await request({ uri: '/api/openapi.yaml' })
+      await stop()
+      expect(res.headers['content-type']).to.match(/^application\/yaml/)
+      const body = require('js-yaml').safeLoad(res.body)
+      expect(body.openapi).to.equal('3.0.0')
+      expect(body.servers[0].url).to.match(/\/api$/)
+    })
+
+    it('can serve the dereferenced document', async () => {
+      const enforcer = Enforcer(helper.openapi(paths, properties), { documentPaths: '/openapi.json', documentDereference: true })
+      const { app, request, start, stop } = helper.server()
+      app.use('/api', enforcer.middleware())
+      await start()
+      const { res } = await request({ uri: '/api/openapi.json' })
+      await stop()
+      const body = JSON.parse(res.body)
+      expect(body.paths['/people'].get.responses[200].content['application/json'].schema).to.deep.equal({
+        type: 'object',
+        properties: { name: { type: 'string' } }
+      })
+    })
+
+    it('rewrites the host and base path for openapi 2.0', async () => {
+      const definition = helper.definition.v2()
+      definition.host = 'api.example.com'
+      definition.basePath = '/v1'
+      const enforcer = Enforcer(definition, { documentPaths: '/swagger.json' })
+      const { app, request, start, stop } = helper.server()
+      app.use('/api', enforcer.middleware())
+      await start()
+      const { res } = await request({ uri: '/api/swagger.json' })
+      await stop()
+      const body = JSON.parse(res.body)
+      expect(body.host).to.equal(res.request.uri.host)
+      expect(body.basePath).to.equal('/api')
+      expect(body.schemes).to.deep.equal(['http'])
+    })
+
+    it('can hide operations and extensions with the document filter', async () => {
+      const enforcer = Enforcer(helper.openapi(paths, properties), {
+        documentPaths: '/openapi.json',
+        documentFilter (document, req) {
+          expect(req.method).to.equal('GET')
+          delete document['x-controller']
+          Object.keys(document.paths).forEach(path => {
+            if (document.paths[path].get['x-internal']) delete document.paths[path]
+          })
+        }
+      })
+      const { app, request, start, stop } = helper.server()
+      app.use('/api', enforcer.middleware())
+      await start()
+      const { res } = await request({ uri: '/api/openapi.json' })
+      await stop()
+      const body = JSON.parse(res.body)
+      expect(body).not.to.have.property('x-controller')
+      expect(Object.keys(body.paths)).to.deep.equal(['/', '/people'])
+    })
+
+    it('does not serve the document by default', async () => {
+      const enforcer = Enforcer(helper.openapi(paths, properties))
+      const { app, request, start, stop } = helper.server()
+      app.use('/api', enforcer.middleware())
+      await start()
+      const { res } = await request({ uri: '/api/openapi.json' })
+      await stop()
+      expect(res.statusCode).to.equal(404)
+    })
+
+    it('rejects invalid document options', () => {
+      expect(() => Enforcer(helper.openapi(paths, properties), { documentPaths: 'openapi.json' })).to.throw(/documentPaths/)
+      expect(() => Enforcer(helper.openapi(paths, properties), { documentFilter: true })).to.throw(/documentFilter/)
+    })
+  })
+
+  describe('routes', () => {
+    const responses = { 200: { description: '' } }
+    const paths = {
+      '/items': {
+        get: { operationId: 'listItems', responses },
+        post: { operationId: 'createItem', responses }
+      },
+      '/other': {
+        get: { responses }
+      }
+    }
+
+    it('lists operations and what handles them', async () => {
+      const enforcer = Enforcer(helper.openapi(paths, { 'x-controller': 'items' }))
+      enforcer.mocks({ items: { createItem (req, res) { res.send() } } }, false).catch(() => {})
+      enforcer.controllers({ items: { listItems (req, res) { res.send() } } }).catch(() => {})
+      const routes = await enforcer.routes()
+      expect(routes).to.deep.equal([
+        { method: 'GET', path: '/items', operationId: 'listItems', controller: 'items', operation: 'listItems', handledBy: 'controller' },
+        { method: 'POST', path: '/items', operationId: 'createItem', controller: 'items', operation: 'createItem', handledBy: 'mock' },
+        { method: 'GET', path: '/other', handledBy: null }
+      ])
+    })
+
+    it('considers every operation mocked with automatic mocking', async () => {
+      const enforcer = Enforcer(helper.openapi(paths, { 'x-controller': 'items' }))
+      enforcer.mocks(null, true)
+      const routes = await enforcer.routes()
+      expect(routes.map(route => route.handledBy)).to.deep.equal(['mock', 'mock', 'mock'])
+    })
+
+    it('reports the routes', async () => {
+      const enforcer = Enforcer(helper.openapi(paths, { 'x-controller': 'items' }))
+      let report
+      await enforcer.report({ logger: value => { report = value } })
+      expect(report).to.match(/^OpenAPI routes \(0 of 3 implemented\):/)
+      expect(report).to.match(/GET +\/items +listItems +items\.listItems +not implemented/)
+    })
+
+    it('rejects unimplemented operations in strict mode', async () => {
+      const enforcer = Enforcer(helper.openapi(paths, { 'x-controller': 'items' }))
+      enforcer.mocks({ items: { createItem (req, res) { res.send() } } }, false).catch(() => {})
+      enforcer.controllers({ items: { listItems (req, res) { res.send() } } }).catch(() => {})
+      await expect(enforcer.report({ logger: null, strict: true })).to.be.rejectedWith(/not implemented:\n {2}GET \/other$/)
+    })
+  })
+
+  describe('scaffold', () => {
+    const bin = path.resolve(__dirname, '..', 'bin', 'openapi-enforcer-middleware.js')
+    const spec = path.resolve(__dirname, 'resources', 'v3.yaml')
+    let dir
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.resolve(os.tmpdir(), 'openapi-enforcer-middleware-'))
+    })
+
+    afterEach(() => {
+      fs.rmdirSync(dir, { recursive: true })
+    })
+
+    function run (...args) {
+      return require('child_process').execFileSync(process.execPath, [bin, 'scaffold', spec, dir].concat(args)).toString()
+    }
+
+    it('creates controllers that map to every operation', async () => {
+      const output = run()
+      expect(output).to.match(/created .*people\.js: getPeople, addPerson, getPerson, putPerson, deletePerson/)
+      const content = fs.readFileSync(path.resolve(dir, 'people.js'), 'utf8')
+      expect(content).to.match(/\* GET \/people\/{id}\n {3}\*\n {3}\* Parameters:\n {3}\* - path id {string} \(required\)/)
+      await Enforcer(spec).controllers(dir)
+    })
+
+    it('adds missing handlers without overwriting existing handlers', () => {
+      const file = path.resolve(dir, 'people.js')
+      fs.writeFileSync(file, "module.exports = {\n  getPeople (req, res) {\n    res.send('mine')\n  }\n}\n")
+      const output = run()
+      expect(output).to.match(/updated .*people\.js: addPerson, getPerson, putPerson, deletePerson/)
+      const content = fs.readFileSync(file, 'utf8')
+      expect(content).to.match(/^module\.exports = {\n {2}getPeople \(req, res\) {\n {4}res\.send\('mine'\)\n {2}},\n\n/)
+      expect(content.match(/getPeople/g).length).to.equal(1)
+      expect(run()).to.match(/unchanged .*people\.js/)
+    })
+
+    it('quotes operation names that are not identifiers', async () => {
+      const definition = helper.definition.v3()
+      definition['x-controller'] = 'users'
+      definition.paths['/'].get.operationId = 'get-user'
+      const file = path.resolve(dir, 'openapi.json')
+      fs.writeFileSync(file, JSON.stringify(definition))
+      require('child_process').execFileSync(process.execPath, [bin, 'scaffold', file, path.resolve(dir, 'controllers')])
+      const controller = require(path.resolve(dir, 'controllers', 'users.js'))
+      expect(controller['get-user']).to.be.a('function')
+      await Enforcer(file).controllers(path.resolve(dir, 'controllers'))
+    })
+
+    it('escapes operation names in the not implemented message', () => {
+      const definition = helper.definition.v3()
+      definition['x-controller'] = 'users'
+      definition.paths['/'].get.operationId = "get'user"
+      const file = path.resolve(dir, 'openapi.json')
+      fs.writeFileSync(file, JSON.stringify(definition))
+      require('child_process').execFileSync(process.execPath, [bin, 'scaffold', file, path.resolve(dir, 'controllers')])
+      const controller = require(path.resolve(dir, 'controllers', 'users.js'))
+      let error
+      controller["get'user"]({}, {}, err => { error = err })
+      expect(error.message).to.equal("Operation not implemented: get'user")
+    })
+
+    it('generates mock controllers that use req.mock', async () => {
+      run('--mocks')
+      const enforcer = Enforcer(spec)
+      await enforcer.mocks(dir, false)
+      const { res } = await helper.request(enforcer, { uri: '/people?x-mock=200' })
+      expect(res.statusCode).to.equal(200)
+      expect(res.headers['x-openapi-enforcer']).to.equal('mock:controller')
+    })
+  })
+
+  describe('types', () => {
+    const bin = path.resolve(__dirname, '..', 'bin', 'openapi-enforcer-middleware.js')
+    let dir
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.resolve(os.tmpdir(), 'openapi-enforcer-middleware-'))
+    })
+
+    afterEach(() => {
+      fs.rmdirSync(dir, { recursive: true })
+    })
+
+    function run (spec) {
+      const file = path.resolve(dir, 'api.d.ts')
+      require('child_process').execFileSync(process.execPath, [bin, 'types', path.resolve(__dirname, 'resources', spec), file])
+      return fs.readFileSync(file, 'utf8')
+    }
+
+    it('declares named schemas once', () => {
+      const content = run('v3.yaml')
+      expect(content).to.contain('export type Classification = "hero" | "normal" | "villian"')
+      expect(content).to.contain('export type Person = Schemas.Hero | Schemas.Identity | Schemas.Villain')
+      expect(content).to.contain('crimes?: Array<Schemas.Crime>;')
+    })
+
+    it('declares the parameters, body and responses of each operation', () => {
+      const content = run('v3.yaml')
+      expect(content).to.contain('export interface GetPersonParameters {\n    path: {\n        id: string;\n    };\n    query: {};')
+      expect(content).to.contain('export type PutPersonRequestBody = Schemas.Person | undefined')
+      expect(content).to.contain('export type GetPersonResponse = { statusCode: 200; body: Schemas.Person }')
+      expect(content).to.contain('export type DeletePersonResponse = { statusCode: 204; body?: undefined }')
+      expect(content).to.contain('export type GetPersonHandler = (req: GetPersonRequest, res: Response<GetPersonResponse[\'body\']>, next: NextFunction) => any')
+    })
+
+    it('declares a controllers map', () => {
+      const content = run('v3.yaml')
+      expect(content).to.contain('export interface ControllersMap {\n    people: {\n        getPeople: GetPeopleHandler | GetPeopleHandler[];')
+    })
+
+    it('declares index signatures that allow the listed properties', () => {
+      const definition = helper.definition.v3()
+      definition.paths['/'].get.responses[200].content = {
+        'application/json': {
+          schema: {
+            type: 'object',
+            required: ['name'],
+            properties: { id: { type: 'integer' }, name: { type: 'string' } },
+            additionalProperties: { type: 'string' }
+          }
+        }
+      }
+      const file = path.resolve(dir, 'openapi.json')
+      fs.writeFileSync(file, JSON.stringify(definition))
+      const content = run(file)
+      expect(content).to.contain('id?: number;\n        name: string;\n        [key: string]: string | number | undefined;')
+    })
+
+    it('supports openapi 2.0 definitions', () => {
+      const content = run('v2.yaml')
+      expect(content).to.contain('export namespace Schemas {')
+      expect(content).to.match(/\| { statusCode: number; body: {\n {8}code\?: number;/)
+    })
+  })
 })
@@ -51,39 +51,103 @@ module.exports = {
       }
     }
   },
+  fastifyServer,
+  koaServer,
+  openapi,
   request: oneRequest,
   server
 }
 
-async function oneRequest (enforcer, options = {}) {
+// make one request to an express app that uses the enforcer, with optional middleware around it
+async function oneRequest (enforcer, options = {}, middleware = {}) {
   const { app, request, start, stop } = server()
+  ;(middleware.before || []).forEach(fn => app.use(fn))
   app.use(enforcer.middleware())
+  ;(middleware.after || []).forEach(fn => app.use(fn))
   await start()
   const result = await request(options)
   await stop()
   return result
 }
 
-function server () {
-  const app = express()
+function fastifyServer () {
+  const app = require('fastify')()
+  return {
+    app,
+    request (options = {}) {
+      return request(app.server.address().port, options)
+    },
+    start () {
+      return app.listen({ port: 0 })
+    },
+    stop () {
+      return app.close()
+    }
+  }
+}
+
+function koaServer () {
+  const Koa = require('koa')
+  const app = new Koa()
+  app.silent = true
   let listener
   return {
     app,
     request (options = {}) {
-      const port = listener.address().port
-      const opts = Object.assign({
-        resolveWithFullResponse: true,
-        simple: false,
-        baseUrl: 'http://localhost:' + port,
-        uri: '/'
-      }, options)
-      return Request(opts)
-        .then(res => {
-          return { res, err: null }
+      return request(listener.address().port, options)
+    },
+    start () {
+      return new Promise((resolve, reject) => {
+        listener = app.listen(0, function (err) {
+          if (err) return reject(err)
+          resolve()
         })
-        .catch(err => {
-          return { res: null, err }
+      })
+    },
+    stop () {
+      return new Promise((resolve, reject) => {
+        listener.close(err => {
+          if (err) return reject(err)
+          resolve()
         })
+      })
+    }
+  }
+}
+
+// build an OpenAPI 3 definition from its paths and root properties, copied so tests can share them
+function openapi (paths, properties) {
+  const definition = Object.assign({
+    openapi: '3.0.0',
+    info: { title: '', version: '' },
+    paths
+  }, properties)
+  return JSON.parse(JSON.stringify(definition))
+}
+
+function request (port, options) {
+  const opts = Object.assign({
+    resolveWithFullResponse: true,
+    simple: false,
+    baseUrl: 'http://localhost:' + port,
+    uri: '/'
+  }, options)
+  return Request(opts)
+    .then(res => {
+      return { res, err: null }
+    })
+    .catch(err => {
+      return { res: null, err }
+    })
+}
+
+function server () {
+  const app = express()
+  let listener
+  return {
+    app,
+    request (options = {}) {
+      return request(listener.address().port, options)
     },
     start () {
       return new Promise((resolve, reject) => {